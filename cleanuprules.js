@@ -0,0 +1,174 @@
+"use strict";
+
+const fs = require( 'fs' );
+const pathParser = require( 'path' );
+const util = require( './util' );
+
+/* Rules cleaning the DOM of the articles. A rules file is a JSON object:
+ *   {"extends": ["<preset>", ...], "rules": [<rule>, ...]}
+ * the rules of the presets (files of the rules/ directory, by name) come
+ * first. A rule has an action and one way to find the nodes:
+ *   {"action": "remove" | "keep" | "unwrap" | "stripClass" | "display",
+ *    "class": "..." | "id": "..." | "selector": "<CSS selector>" |
+ *    "template": "<template name, as in data-mw>",
+ *    "ifNoLink": true (optional, only the nodes without link)}
+ * Nodes are first kept, then the other nodes removed, unwrapped (replaced
+ * by their children) and the classes stripped ("stripClass" removes the
+ * class of the rule, or all the classes of the nodes found otherwise);
+ * at last, the remaining nodes to display have their "display" style
+ * removed. */
+
+const presetDirectory = pathParser.join(__dirname, 'rules');
+const actions = ['keep', 'remove', 'unwrap', 'stripClass', 'display'];
+const matchers = ['class', 'id', 'selector', 'template'];
+
+function getPresets() {
+    return fs.readdirSync(presetDirectory).filter(function (filename) {
+        return pathParser.extname(filename) == '.json';
+    }).map(function (filename) {
+        return pathParser.basename(filename, '.json');
+    });
+}
+
+function validateRule( rule ) {
+    if (actions.indexOf(rule.action) < 0) {
+        throw new Error('Unknown action "' + rule.action + '" in rule ' + JSON.stringify(rule));
+    }
+    let ruleMatchers = matchers.filter(function (matcher) {
+        return rule[matcher] !== undefined;
+    });
+    if (ruleMatchers.length != 1) {
+        throw new Error('Rule ' + JSON.stringify(rule) + ' should have one of "' + matchers.join('", "') + '"');
+    }
+}
+
+/* Rules of a file or of a preset, with the rules of the presets it
+ * extends; throws if they can not be loaded */
+function loadCleanupRules( nameOrPath, loading ) {
+    let path = fs.existsSync(nameOrPath) && fs.statSync(nameOrPath).isFile() ?
+        nameOrPath : pathParser.join(presetDirectory, nameOrPath + '.json');
+    loading = loading || [];
+    if (loading.indexOf(path) >= 0) {
+        throw new Error('Rules ' + path + ' extend themselves');
+    }
+    if (!fs.existsSync(path)) {
+        throw new Error('No rules file "' + nameOrPath + '" and no preset of this name (' + getPresets().join(', ') + ')');
+    }
+
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(path).toString());
+    } catch (error) {
+        throw new Error('Unable to parse rules ' + path + ': ' + error.message);
+    }
+
+    let rules = [];
+    [].concat(content.extends || []).map(function (preset) {
+        rules = rules.concat(loadCleanupRules(preset, loading.concat(path)));
+    });
+    ( content.rules || [] ).map(function (rule) {
+        validateRule(rule);
+        rules.push(rule);
+    });
+    return rules;
+}
+
+/* Preset of a wiki, by the name of its project in its hostname, or
+ * "default" */
+function getPresetForHost( hostname ) {
+    let presets = getPresets();
+    return hostname.split('.').filter(function (part) {
+        return presets.indexOf(part) >= 0;
+    })[0] || 'default';
+}
+
+function normalizeTemplateName( name ) {
+    return util.ucFirst(( name || '' ).trim().replace(/_/g, ' ').replace(/^template:/i, '').trim());
+}
+
+/* Name of the templates which generated a node, from its data-mw */
+function getTemplateNames( node ) {
+    let dataMw;
+    try {
+        dataMw = JSON.parse(node.getAttribute('data-mw'));
+    } catch (error) {
+        return [];
+    }
+    return ( dataMw && dataMw.parts || [] ).filter(function (part) {
+        return part.template && part.template.target;
+    }).map(function (part) {
+        return normalizeTemplateName(part.template.target.wt);
+    });
+}
+
+function findNodes( dom, rule ) {
+    let nodes;
+    if (rule.class !== undefined) {
+        nodes = dom.getElementsByClassName(rule.class);
+    } else if (rule.id !== undefined) {
+        nodes = dom.querySelectorAll('[id="' + rule.id.replace(/["\\]/g, '\\$&') + '"]');
+    } else if (rule.selector !== undefined) {
+        nodes = dom.querySelectorAll(rule.selector);
+    } else {
+        /* The output of a template is made of the siblings with the same
+         * "about" attribute as the node with the data-mw */
+        let name = normalizeTemplateName(rule.template);
+        nodes = [];
+        Array.prototype.slice.call(dom.querySelectorAll('[data-mw]')).filter(function (node) {
+            return getTemplateNames(node).indexOf(name) >= 0;
+        }).map(function (node) {
+            nodes.push(node);
+            let about = node.getAttribute('about');
+            for (let sibling = node.nextSibling; about && sibling; sibling = sibling.nextSibling) {
+                if (sibling.nodeType == 1 && sibling.getAttribute('about') == about) {
+                    nodes.push(sibling);
+                } else if (sibling.nodeType == 1) {
+                    break;
+                }
+            }
+        });
+    }
+
+    return Array.prototype.slice.call(nodes).filter(function (node) {
+        return !rule.ifNoLink || node.getElementsByTagName('a').length === 0;
+    });
+}
+
+function applyCleanupRules( dom, rules ) {
+    let keptNodes = [];
+
+    actions.map(function (action) {
+        rules.filter(function (rule) {
+            return rule.action == action;
+        }).map(function (rule) {
+            findNodes(dom, rule).map(function (node) {
+                if (action == 'keep') {
+                    keptNodes.push(node);
+                } else if (action == 'display') {
+                    if (node.style) {
+                        node.style.removeProperty('display');
+                    }
+                } else if (keptNodes.indexOf(node) >= 0) {
+                    return;
+                } else if (action == 'remove') {
+                    util.deleteNode(node);
+                } else if (action == 'unwrap') {
+                    while (node.parentNode && node.firstChild) {
+                        node.parentNode.insertBefore(node.firstChild, node);
+                    }
+                    util.deleteNode(node);
+                } else if (rule.class !== undefined) {
+                    node.classList.remove(rule.class);
+                } else {
+                    node.removeAttribute('class');
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    loadCleanupRules,
+    getPresetForHost,
+    applyCleanupRules
+};
@@ -0,0 +1,150 @@
+"use strict";
+
+/* Index of the geotagged articles, in cells of a grid of cellSize
+ * degrees, to find the nearest articles of a point. It is written as
+ * GeoJSON (a FeatureCollection of Points, with the "title" and "url" of
+ * the articles) and as a binary grid index, little endian:
+ *   header: "MWGI", version (uint8, 1), cell size in degrees (float32),
+ *     number of articles (uint32), number of cells (uint32);
+ *   cells, sorted by latitude then longitude: latitude and longitude
+ *     of the cell (int16, floor(lat / cell size) and floor(lon / cell
+ *     size), wrapped from 180 to -180), index of the first article of the cell (uint32) and number
+ *     of articles (uint32);
+ *   articles, grouped by cell: latitude and longitude (float32) and index
+ *     of the article feature in the GeoJSON (uint32). */
+
+const EARTH_RADIUS = 6371;
+const HEADER_SIZE = 17;
+const CELL_SIZE = 12;
+const ARTICLE_SIZE = 12;
+
+/* Distance in kilometers */
+function getDistance( lat1, lon1, lat2, lon2 ) {
+    let toRadians = Math.PI / 180;
+    let dLat = ( lat2 - lat1 ) * toRadians;
+    let dLon = ( lon2 - lon1 ) * toRadians;
+    let a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/* "lat;lon" as stored in the article details, undefined if invalid */
+function parseCoordinates( value ) {
+    let parts = ( value || '' ).split(';').map(parseFloat);
+    if (parts.length == 2 && !isNaN(parts[0]) && !isNaN(parts[1]) &&
+        Math.abs(parts[0]) <= 90 && Math.abs(parts[1]) <= 180) {
+        return {lat: parts[0], lon: parts[1]};
+    }
+}
+
+function createGeoIndex( cellSize ) {
+    let articles = [];
+    let cells = {};
+    let lonCellCount = Math.ceil(360 / cellSize);
+
+    function getCellKey(latCell, lonCell) {
+        return latCell + ',' + lonCell;
+    }
+
+    /* Longitudes wrap around the antimeridian (180 is in the cell of
+     * -180) */
+    function wrapLonCell(lonCell) {
+        return ( lonCell + lonCellCount / 2 + lonCellCount ) % lonCellCount - lonCellCount / 2;
+    }
+
+    function getCell(lat, lon) {
+        return {lat: Math.floor(lat / cellSize), lon: wrapLonCell(Math.floor(lon / cellSize))};
+    }
+
+    function add(id, lat, lon) {
+        let cell = getCell(lat, lon);
+        let key = getCellKey(cell.lat, cell.lon);
+        let index = articles.push({id: id, lat: lat, lon: lon}) - 1;
+        ( cells[key] = cells[key] || [] ).push(index);
+    }
+
+    /* The nearest articles, at most count and in the cell of the point
+     * or the ones around, with their distance in kilometers */
+    function getNearby(lat, lon, count, excludedId) {
+        let cell = getCell(lat, lon);
+        let nearby = [];
+        for (let latCell = cell.lat - 1; latCell <= cell.lat + 1; latCell++) {
+            for (let lonCell = cell.lon - 1; lonCell <= cell.lon + 1; lonCell++) {
+                ( cells[getCellKey(latCell, wrapLonCell(lonCell))] || [] ).map(function (index) {
+                    let article = articles[index];
+                    if (article.id != excludedId) {
+                        nearby.push({id: article.id, distance: getDistance(lat, lon, article.lat, article.lon)});
+                    }
+                });
+            }
+        }
+        return nearby.sort(function (a, b) {
+            return a.distance - b.distance;
+        }).slice(0, count);
+    }
+
+    function toGeoJson(getUrl) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: articles.map(function (article) {
+                return {
+                    type: 'Feature',
+                    geometry: {type: 'Point', coordinates: [article.lon, article.lat]},
+                    properties: {title: article.id.replace(/_/g, ' '), url: getUrl(article.id)}
+                };
+            })
+        });
+    }
+
+    function toBinary() {
+        let keys = Object.keys(cells).map(function (key) {
+            return key.split(',').map(Number);
+        }).sort(function (a, b) {
+            return a[0] - b[0] || a[1] - b[1];
+        });
+        let buffer = Buffer.alloc(HEADER_SIZE + keys.length * CELL_SIZE + articles.length * ARTICLE_SIZE);
+
+        buffer.write('MWGI', 0, 'latin1');
+        buffer.writeUInt8(1, 4);
+        buffer.writeFloatLE(cellSize, 5);
+        buffer.writeUInt32LE(articles.length, 9);
+        buffer.writeUInt32LE(keys.length, 13);
+
+        let cellOffset = HEADER_SIZE;
+        let articleOffset = HEADER_SIZE + keys.length * CELL_SIZE;
+        let first = 0;
+        keys.map(function (key) {
+            let indexes = cells[getCellKey(key[0], key[1])];
+            buffer.writeInt16LE(key[0], cellOffset);
+            buffer.writeInt16LE(key[1], cellOffset + 2);
+            buffer.writeUInt32LE(first, cellOffset + 4);
+            buffer.writeUInt32LE(indexes.length, cellOffset + 8);
+            cellOffset += CELL_SIZE;
+            first += indexes.length;
+
+            indexes.map(function (index) {
+                buffer.writeFloatLE(articles[index].lat, articleOffset);
+                buffer.writeFloatLE(articles[index].lon, articleOffset + 4);
+                buffer.writeUInt32LE(index, articleOffset + 8);
+                articleOffset += ARTICLE_SIZE;
+            });
+        });
+
+        return buffer;
+    }
+
+    return {
+        add: add,
+        getNearby: getNearby,
+        getCount: function () {
+            return articles.length;
+        },
+        toGeoJson: toGeoJson,
+        toBinary: toBinary
+    };
+}
+
+module.exports = {
+    parseCoordinates,
+    createGeoIndex
+};
@@ -0,0 +1,193 @@
+"use strict";
+
+const fs = require( 'fs' );
+
+/* Key-value stores used to keep the hashes of a dump (redirects, media
+ * ids, article details, ...). Each store implements the subset of the
+ * Redis hash commands used by mwoffliner, with the same callback
+ * signatures and the same string values:
+ *   hget( hash, key, callback( error, value ) )
+ *   hmget( hash, keys, callback( error, values ) )
+ *   hset( hash, key, value, callback( error ) )
+ *   hmset( hash, object, callback( error ) )
+ *   hdel( hash, key, callback( error ) )
+ *   hkeys( hash, callback( error, keys ) )
+ *   hgetall( hash, callback( error, object ) )
+ *   del( hash1, hash2, ..., callback( error ) )
+ *   quit( callback() ) */
+
+const kvStoreTypes = [ 'redis', 'memory', 'file' ];
+
+function createRedisStore( socket ) {
+    return require( 'redis' ).createClient( socket );
+}
+
+/* Everything is kept in the process memory and lost at exit; the
+ * optional journal function is called with every modification. Hashes
+ * and their entries have no prototype, for keys like "__proto__" (which
+ * might be article ids) to be plain keys */
+function createMemoryStore( journal ) {
+    let hashes = Object.create(null);
+
+    function getHash( hash, create ) {
+        if (!( hash in hashes ) && create) {
+            hashes[hash] = Object.create(null);
+        }
+        return hashes[hash];
+    }
+
+    function reply( callback, error, value ) {
+        if (callback) {
+            setImmediate(callback, error, value);
+        }
+    }
+
+    function hset( hash, key, value ) {
+        getHash(hash, true)[key] = value + '';
+    }
+
+    function hdel( hash, key ) {
+        let entries = getHash(hash);
+        if (entries) {
+            delete entries[key];
+        }
+    }
+
+    function del( hash ) {
+        delete hashes[hash];
+    }
+
+    function log( command ) {
+        if (journal) {
+            journal(command);
+        }
+    }
+
+    return {
+        hget: function( hash, key, callback ) {
+            let entries = getHash(hash);
+            reply(callback, null, entries && key in entries ? entries[key] : null);
+        },
+        hmget: function( hash, keys, callback ) {
+            let entries = getHash(hash) || Object.create(null);
+            reply(callback, null, keys.map(function (key) {
+                return key in entries ? entries[key] : null;
+            }));
+        },
+        hset: function( hash, key, value, callback ) {
+            hset(hash, key, value);
+            log(['hset', hash, key, value + '']);
+            reply(callback, null);
+        },
+        hmset: function( hash, object, callback ) {
+            Object.keys(object).map(function (key) {
+                hset(hash, key, object[key]);
+                log(['hset', hash, key, object[key] + '']);
+            });
+            reply(callback, null);
+        },
+        hdel: function( hash, key, callback ) {
+            hdel(hash, key);
+            log(['hdel', hash, key]);
+            reply(callback, null);
+        },
+        hkeys: function( hash, callback ) {
+            reply(callback, null, Object.keys(getHash(hash) || Object.create(null)));
+        },
+        hgetall: function( hash, callback ) {
+            let entries = getHash(hash);
+            reply(callback, null, entries ? Object.assign(Object.create(null), entries) : null);
+        },
+        del: function() {
+            let args = Array.prototype.slice.call(arguments);
+            let callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+            args.map(function (hash) {
+                del(hash);
+                log(['del', hash]);
+            });
+            reply(callback, null);
+        },
+        quit: function( callback ) {
+            reply(callback, null);
+        },
+
+        /* Used to replay a journal, without journaling it again */
+        _apply: function( command ) {
+            if (command[0] === 'hset') {
+                hset(command[1], command[2], command[3]);
+            } else if (command[0] === 'hdel') {
+                hdel(command[1], command[2]);
+            } else if (command[0] === 'del') {
+                del(command[1]);
+            }
+        },
+        _dump: function() {
+            return hashes;
+        }
+    };
+}
+
+/* Memory store persisted in an append-only file (one JSON command per
+ * line), replayed and compacted at opening; onError is called if the
+ * journal can not be written */
+function createFileStore( path, onError ) {
+    let store = createMemoryStore();
+
+    if (fs.existsSync(path)) {
+        fs.readFileSync(path).toString().split('\n').map(function (line) {
+            if (line) {
+                try {
+                    store._apply(JSON.parse(line));
+                } catch (error) {
+                    /* Last line of a crashed run might be truncated */
+                }
+            }
+        });
+    }
+
+    /* Compact the journal */
+    let hashes = store._dump();
+    let compacted = '';
+    Object.keys(hashes).map(function (hash) {
+        Object.keys(hashes[hash]).map(function (key) {
+            compacted += JSON.stringify(['hset', hash, key, hashes[hash][key]]) + '\n';
+        });
+    });
+    fs.writeFileSync(path + '.tmp', compacted);
+    fs.renameSync(path + '.tmp', path);
+
+    let stream = fs.createWriteStream(path, {flags: 'a'});
+    if (onError) {
+        stream.on('error', onError);
+    }
+    let fileStore = createMemoryStore(function (command) {
+        stream.write(JSON.stringify(command) + '\n');
+    });
+    Object.keys(hashes).map(function (hash) {
+        Object.keys(hashes[hash]).map(function (key) {
+            fileStore._apply(['hset', hash, key, hashes[hash][key]]);
+        });
+    });
+    fileStore.quit = function( callback ) {
+        stream.end(callback);
+    };
+
+    return fileStore;
+}
+
+function createKvStore( type, options ) {
+    options = options || {};
+    if (type === 'redis') {
+        return createRedisStore(options.redisSocket);
+    } else if (type === 'memory') {
+        return createMemoryStore();
+    } else if (type === 'file') {
+        return createFileStore(options.path, options.onError);
+    }
+    throw new Error('Unknown key-value store type "' + type + '"');
+}
+
+module.exports = {
+    kvStoreTypes,
+    createKvStore
+};
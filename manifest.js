@@ -0,0 +1,85 @@
+"use strict";
+
+const fs = require( 'fs' );
+const zlib = require( 'zlib' );
+
+/* Manifest of a dump: what was dumped, at which revision. It is a JSON
+ * Lines file (gzipped if its name ends with ".gz"), the first line being
+ * the header:
+ *   {"date": "<ISO date of the beginning of the dump>", "mwUrl": "...", ...}
+ * followed by one line per article, per redirect and per media:
+ *   {"id": "<article id>", "revid": 1234, "details": {...}}
+ *   {"id": "<redirect id>", "redirect": "<target article id>"}
+ *   {"media": "<filename>", "width": 640}
+ * The width of a media is missing if the original file was used. */
+
+function isGzipped( path ) {
+    return /\.gz$/.test(path);
+}
+
+function createManifestWriter( path, header ) {
+    let output = fs.createWriteStream(path);
+    let stream = output;
+    if (isGzipped(path)) {
+        stream = zlib.createGzip();
+        stream.pipe(output);
+    }
+    stream.write(JSON.stringify(header) + '\n');
+
+    return {
+        addArticle: function( id, revid, details ) {
+            stream.write(JSON.stringify({id: id, revid: revid, details: details || {}}) + '\n');
+        },
+        addRedirect: function( id, target ) {
+            stream.write(JSON.stringify({id: id, redirect: target}) + '\n');
+        },
+        addMedia: function( filename, width ) {
+            stream.write(JSON.stringify(width ? {media: filename, width: width} : {media: filename}) + '\n');
+        },
+        end: function( callback ) {
+            output.on('error', callback);
+            output.on('finish', function () {
+                callback(null);
+            });
+            stream.end();
+        }
+    };
+}
+
+/* Callback gets {header, articles: {id: {revid, details}}, redirects:
+ * {id: target}, media: {filename: width}} */
+function readManifest( path, callback ) {
+    fs.readFile(path, function (error, data) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        let manifest = {header: undefined, articles: {}, redirects: {}, media: {}};
+        try {
+            let lines = ( isGzipped(path) ? zlib.gunzipSync(data) : data ).toString().split('\n');
+            manifest.header = JSON.parse(lines.shift());
+            lines.map(function (line) {
+                if (line) {
+                    let record = JSON.parse(line);
+                    if (record.media !== undefined) {
+                        manifest.media[record.media] = record.width || null;
+                    } else if (record.redirect !== undefined) {
+                        manifest.redirects[record.id] = record.redirect;
+                    } else {
+                        manifest.articles[record.id] = {revid: record.revid, details: record.details || {}};
+                    }
+                }
+            });
+        } catch (error) {
+            callback('Unable to parse manifest ' + path + ': ' + error);
+            return;
+        }
+        callback(null, manifest);
+    });
+}
+
+module.exports = {
+    createManifestWriter,
+    readManifest
+};
@@ -18,14 +18,21 @@ const pathParser = require( 'path' );
 const homeDirExpander = require( 'expand-home-dir' );
 const mkdirp = require( 'mkdirp' );
 const countryLanguage = require( 'country-language' );
-const redis = require( 'redis' );
 const exec = require( 'child_process' ).exec;
 const spawn = require( 'child_process' ).spawn;
 const yargs = require( 'yargs' );
 const os = require( 'os' );
 const crypto = require( 'crypto' );
 const unicodeCutter = require( 'utf8-binary-cutter' );
+const htmlMinifier = require( 'html-minifier' );
 const util = require( './util' );
+const kvstore = require( './kvstore' );
+const zimwriter = require( './zimwriter' );
+const manifest = require( './manifest' );
+const ratelimiter = require( './ratelimiter' );
+const optimizer = require( './optimizer' );
+const cleanuprules = require( './cleanuprules' );
+const geoindex = require( './geoindex' );
 
 /************************************/
 /* Command Parsing ******************/
@@ -38,13 +45,21 @@ const argv = yargs.usage( 'Create a fancy HTML dump of a Mediawiki instance in a
     .describe( 'adminEmail', 'Email of the mwoffliner user which will be put in the HTTP user-agent string' )
     .describe( 'articleList', 'File with one title (in UTF8) per line' )
     .describe( 'cacheDirectory', 'Directory where files are permanently cached' )
+    .describe( 'cleanupRules', 'JSON file (or name of a preset of the rules directory) of the rules to clean the articles; per default the preset of the project, if any' )
+    .describe( 'cleanupStaleRuns', 'Only delete, in the key-value store, the data of the runs which are not alive anymore' )
     .describe( 'customZimFavicon', 'Use this option to give a path to a PNG favicon, it will be used in place of the Mediawiki logo.' )
     .describe( 'customZimTitle', 'Allow to configure a custom ZIM file title.' )
     .describe( 'customZimDescription', 'Allow to configure a custom ZIM file description.' )
     .describe( 'customMainPage', 'Allow to configure a custom page as welcome page.' )
+    .describe( 'dryRun', 'Only print the metadata and the command of the ZIM file(s) which would be built, without downloading the articles' )
     .describe( 'deflateTmpHtml', 'To reduce I/O, HTML pages might be deflated in tmpDirectory.' )
     .describe( 'filenamePrefix', 'For the part of the ZIM filename which is before the date part.' )
-    .describe( 'format', 'To custom the output with comma separated values : "nopic,nozim"' )
+    .describe( 'format', 'To custom the output with comma separated values : "nopic,novid,noaudio,nozim,json"' )
+    .describe( 'imageFormat', 'Convert the JPEG, PNG and GIF images to "webp" or "avif" (GIF images are not converted to AVIF)' )
+    .describe( 'imageMaxWidth', 'Maximum width (in pixels) of the downloaded images, thumbnails are requested at this width if they are larger' )
+    .describe( 'imageMinWidth', 'Minimum width (in pixels) of the downloaded images, thumbnails are requested at this width if they are smaller (but never larger than the original)' )
+    .describe( 'kvStore', 'Key-value store for the dump data: "redis" (default), "memory" or "file" (persisted in --kvStoreFile)' )
+    .describe( 'kvStoreFile', 'Path to the file of the "file" key-value store (per default "<tmpDirectory>/kvstore.jsonl")' )
     .describe( 'keepEmptyParagraphs', 'Keep all paragraphs, even empty ones.' )
     .describe( 'keepHtml', 'If ZIM built, keep the temporary HTML directory' )
     .describe( 'mwWikiPath', 'Mediawiki wiki base path (per default "/wiki/"' )
@@ -52,20 +67,35 @@ const argv = yargs.usage( 'Create a fancy HTML dump of a Mediawiki instance in a
     .describe( 'mwDomain', 'Mediawiki user domain (thought for private wikis)' )
     .describe( 'mwUsername', 'Mediawiki username (thought for private wikis)' )
     .describe( 'mwPassword', 'Mediawiki user password (thought for private wikis)' )
+    .describe( 'maxFailures', 'Stop if more than this number of articles or media can not be retrieved (per default no limit)' )
+    .describe( 'maxlag', 'Maximum database replication lag (in seconds) accepted by the API before it asks to retry later, 0 to disable (per default 5)' )
+    .describe( 'markMissingLinks', 'Keep links to not mirrored articles as anchors with the "offline-missing" class instead of unwrapping them' )
+    .describe( 'mathMode', 'How to render the math formulas: "svg" (default, inlined SVG), "mathml" (MathML if available, SVG otherwise) or "png" (PNG images)' )
+    .describe( 'mediaMaxDuration', 'Remove the videos and sounds longer than this number of seconds' )
+    .describe( 'mediaMaxSize', 'Remove the videos and sounds of which all the versions are larger (estimated from their bitrate) than this number of megabytes' )
     .describe( 'minifyHtml', 'Try to reduce the size of the HTML' )
     .describe( 'outputDirectory', 'Directory to write the downloaded content' )
-    .describe( 'parsoidUrl', 'Mediawiki Parsoid URL' )
+    .describe( 'outputFormat', 'Article output format: "html" (default), "json" for the transformed Content Service JSON, or "both"; might be overwritten per dump with --format' )
+    .describe( 'parsoidUrl', 'Mediawiki Parsoid URL, used if the Content Service is not available' )
     .describe( 'publisher', 'ZIM publisher meta data, per default \'Kiwix\'' )
+    .describe( 'rateLimits', 'Maximum number of requests per second, for each kind of requests, 0 for no limit (per default "api:20,rest:100,upload:50")' )
     .describe( 'redisSocket', 'Path to Redis socket file' )
     .describe( 'requestTimeout', 'Request timeout (in seconds)' )
-    .describe( 'resume', 'Do not overwrite if ZIM file already created' )
-    .describe( 'skipHtmlCache', 'Do not cache Parsoid HTML output (and do not use any cached HTML content)' )
+    .describe( 'resume', 'Do not overwrite if ZIM file already created, and continue an interrupted dump where it stopped' )
+    .describe( 'retryFailed', 'Only retry to download the items of the given failed items file (written by a previous run) in the cache, for the next run to use them' )
+    .describe( 'restUrl', 'Mediawiki Content Service (REST API) base URL (per default "<mwUrl>/api/rest_v1/")' )
+    .describe( 'since', 'Only retrieve the articles changed since the given date (then the last dump of the cache is the base) or since the dump of the given manifest; changes are taken from the wiki recent changes, which are only kept for a while (per default 90 days)' )
+    .describe( 'skipHtmlCache', 'Do not use any article content cached by a previous run, download all of them again' )
     .describe( 'skipCacheCleaning', 'Do not search for old/outdated files in the cache' )
+    .describe( 'tags', 'Additional tags of the ZIM file(s), separated by semicolons' )
     .describe( 'speed', 'Multiplicator for the number of parallel HTTP requests on Parsoid backend (per default the number of CPU cores). The default value is 1.' )
     .describe( 'tmpDirectory', 'Directory where files are temporary stored' )
+    .describe( 'transcodeMedia', 'Transcode the videos to WebM and the sounds to Opus if they are not available in these formats (needs ffmpeg)' )
     .describe( 'verbose', 'Print debug information to the stdout' )
     .describe( 'withZimFullTextIndex', 'Include a fulltext search index to the ZIM' )
     .describe( 'writeHtmlRedirects', 'Write redirect as HTML files' )
+    .describe( 'zimCompression', 'Compression of the text clusters of natively written ZIM files: "xz" (default), "zstd" or "none"' )
+    .describe( 'zimWriter', 'How to write the ZIM file: "native" (default) or "zimwriterfs" (necessary for --withZimFullTextIndex)' )
     .strict()
     .argv;
 
@@ -89,21 +119,9 @@ if ( argv.format ) {
 /* Template code for any redirect to be written on the FS */
 const redirectTemplateCode = '<html><head><meta charset="UTF-8" /><title>{{ title }}</title><meta http-equiv="refresh" content="0; URL={{ target }}"></head><body></body></html>';
 
-/* All DOM nodes with on of these styles will be removed */
-/* On Wikivoyage 'noprint' remove also top banners like on 'South America'. */
-const cssClassBlackList = [ 'noprint', 'metadata', 'ambox', 'stub', 'topicon', 'magnify', 'navbar', 'mwe-math-mathml-inline' ];
-
-/* All DOM node with these styles will be deleted if no A node is included in the sub-tree */
-const cssClassBlackListIfNoLink = [ 'mainarticle', 'seealso', 'dablink', 'rellink', 'hatnote' ];
-
-/* All DOM nodes which we should for to display */
-const cssClassDisplayList = [ 'thumb' ];
-
-/* List of style to be removed */
-const cssClassCallsBlackList = [ 'plainlinks' ];
-
-/* All nodes with one of these ids will be remove */
-const idBlackList = [ 'purgelink' ];
+/* ResourceLoader modules giving the look of the mobile site */
+const cssModules = [ 'skins.minerva.base.reset', 'skins.minerva.content.styles', 'skins.minerva.content.styles.images',
+    'mediawiki.page.gallery.styles', 'mediawiki.hlist', 'ext.cite.styles', 'ext.math.styles' ];
 
 /* HTTP user-agent string */
 let adminEmail = argv.adminEmail;
@@ -126,6 +144,9 @@ let deflateTmpHtml = argv.deflateTmpHtml;
 /* Parsoid URL */
 let parsoidUrl = argv.parsoidUrl;
 
+/* Content Service URL */
+let restUrl = argv.restUrl;
+
 /* ZIM custom Favicon */
 let customZimFavicon = argv.customZimFavicon;
 if ( customZimFavicon && !fs.existsSync( customZimFavicon ) ) {
@@ -136,6 +157,48 @@ if ( customZimFavicon && !fs.existsSync( customZimFavicon ) ) {
 /* If ZIM is built, should temporary HTML directory be kept */
 let keepHtml = argv.keepHtml;
 
+/* Width of the downloaded images, the best thumbnails are chosen
+ * (with the srcset candidates for high-DPI screens) and requested at a
+ * different width if necessary */
+let imageMaxWidth = argv.imageMaxWidth;
+let imageMinWidth = argv.imageMinWidth;
+[ [ 'imageMaxWidth', imageMaxWidth ], [ 'imageMinWidth', imageMinWidth ] ].map( function( option ) {
+    if ( option[1] !== undefined && ( isNaN( option[1] ) || option[1] < 1 ) ) {
+        printErr(option[0] + ' is not a positive number, please give a number value to --' + option[0]);
+        process.exit(1);
+    }
+});
+if ( imageMaxWidth && imageMinWidth && imageMinWidth > imageMaxWidth ) {
+    printErr('imageMinWidth can not be larger than imageMaxWidth');
+    process.exit(1);
+}
+
+/* Format to which the images are converted */
+let imageFormat = argv.imageFormat;
+if ( imageFormat && optimizer.imageFormats.indexOf( imageFormat ) < 0 ) {
+    printErr('Image format "' + imageFormat + '" is not supported, please give "' + optimizer.imageFormats.join('" or "') + '" to --imageFormat');
+    process.exit(1);
+}
+
+/* Rendering of the math formulas */
+let mathMode = argv.mathMode || 'svg';
+if ( [ 'svg', 'mathml', 'png' ].indexOf( mathMode ) < 0 ) {
+    printErr('Math mode "' + mathMode + '" is not supported, please give "svg", "mathml" or "png" to --mathMode');
+    process.exit(1);
+}
+
+/* Videos and sounds, the best source is chosen within the limits, and
+ * transcoded if necessary */
+let mediaMaxDuration = argv.mediaMaxDuration;
+let mediaMaxSize = argv.mediaMaxSize;
+[ [ 'mediaMaxDuration', mediaMaxDuration ], [ 'mediaMaxSize', mediaMaxSize ] ].map( function( option ) {
+    if ( option[1] !== undefined && ( isNaN( option[1] ) || option[1] <= 0 ) ) {
+        printErr(option[0] + ' is not a positive number, please give a number value to --' + option[0]);
+        process.exit(1);
+    }
+});
+let transcodeMedia = argv.transcodeMedia;
+
 /* List of articles is maybe in a file */
 let articleList = argv.articleList;
 
@@ -156,12 +219,26 @@ process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 /* Verbose */
 let verbose = argv.verbose;
 
+/* Only print what would be built */
+let dryRun = argv.dryRun;
+
 /* Optimize HTML */
 let minifyHtml = argv.minifyHtml;
 
+/* How to deal with links to not mirrored articles */
+let markMissingLinks = argv.markMissingLinks;
+
 /* How to write redirects */
 let writeHtmlRedirects = argv.writeHtmlRedirects;
 
+/* Article output format, HTML pages and/or Content Service JSON */
+const outputFormats = [ 'html', 'json', 'both' ];
+let defaultOutputFormat = argv.outputFormat || 'html';
+if ( outputFormats.indexOf( defaultOutputFormat ) < 0 ) {
+    printErr('Output format "' + defaultOutputFormat + '" is not valid, it should be one of: ' + outputFormats.join(', '));
+    process.exit(1);
+}
+
 /* File where redirects might be save if --writeHtmlRedirects is not set */
 let redirectsCacheFile;
 
@@ -172,18 +249,132 @@ let skipCacheCleaning = argv.skipCacheCleaning;
 /* Should we keep ZIM file generation if ZIM file already exists */
 let resume = argv.resume;
 
+/* Items which can not be retrieved */
+let failedItems = [];
+let maxFailures = argv.maxFailures;
+if ( maxFailures !== undefined && isNaN( maxFailures ) ) {
+    printErr('maxFailures is not a number, please give a number value to --maxFailures');
+    process.exit(1);
+}
+let retryFailed = argv.retryFailed;
+if ( retryFailed && !fs.existsSync( retryFailed ) ) {
+    printErr('Failed items file ' + retryFailed + ' does not exist');
+    process.exit(1);
+}
+
+/* Last error of the downloads which failed, by URL */
+let downloadErrors = {};
+
+/* Incremental dump, based on the manifest of a previous dump */
+let since = argv.since;
+let sinceManifestPath;
+let sinceDate;
+if ( since ) {
+    if ( fs.existsSync( since ) ) {
+        sinceManifestPath = since;
+    } else {
+        let mwTimestamp = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec( since );
+        sinceDate = new Date( mwTimestamp ? mwTimestamp.slice( 1, 4 ).join( '-' ) + 'T' + mwTimestamp.slice( 4, 7 ).join( ':' ) + 'Z' : since );
+        if ( isNaN( sinceDate.getTime() ) ) {
+            printErr('--since should be a date or the path of a manifest: ' + since);
+            process.exit(1);
+        }
+    }
+}
+
+/* Manifest of the last dump, in the cache */
+let manifestCacheFile;
+let parsedArticlesDirectory;
+
+/* Geotagged articles, to show the nearby ones */
+let geoIndex;
+
+/* With --resume, journal of the articles and media of the current dump
+ * which are done, to continue it if interrupted */
+let checkpointStream;
+let checkpointedArticles = {};
+let resumingDump = false;
+
+/* Key-value store backend */
+let kvStoreType = argv.kvStore || 'redis';
+if ( kvstore.kvStoreTypes.indexOf( kvStoreType ) < 0 ) {
+    printErr('Key-value store "' + kvStoreType + '" is not valid, it should be one of: ' + kvstore.kvStoreTypes.join(', '));
+    process.exit(1);
+}
+let kvStoreFile = argv.kvStoreFile ? homeDirExpander( argv.kvStoreFile ) : tmpDirectory + 'kvstore.jsonl';
+
 /* Path to a Redis socket */
 let redisSocket = argv.redisSocket ? argv.redisSocket : '/dev/shm/redis.sock';
 
+/* Runs are registered in the key-value store and send heartbeats, a
+ * run without heartbeat since runStaleTimeout seconds is dead */
+const kvRunsDatabase = 'mwoffliner:runs';
+const runHeartbeatInterval = 60;
+const runStaleTimeout = 600;
+let cleanupStaleRunsOnly = argv.cleanupStaleRuns;
+let runHeartbeatTimer;
+let exiting = false;
+
 /* Default request timeout */
 let requestTimeout = argv.requestTimeout ? argv.requestTimeout : 60;
 
+/* Rate limits, per kind of requests: API (and other pages of the wiki),
+ * REST (Content Service or Parsoid) and upload (media) */
+let maxlag = argv.maxlag !== undefined ? argv.maxlag : 5;
+if ( isNaN( maxlag ) ) {
+    printErr('maxlag is not a number, please give a number value to --maxlag');
+    process.exit(1);
+}
+let maxThrottleRetries = 10;
+let rateLimiter;
+try {
+    let rates = ratelimiter.parseRates( 'api:20,rest:100,upload:50' );
+    if ( argv.rateLimits ) {
+        Object.assign( rates, ratelimiter.parseRates( argv.rateLimits ) );
+    }
+    Object.keys( rates ).map( function( name ) {
+        if ( [ 'api', 'rest', 'upload' ].indexOf( name ) < 0 ) {
+            throw new Error( 'Unknown kind of requests "' + name + '"' );
+        }
+    });
+    rateLimiter = ratelimiter.createRateLimiter( { rates: rates, maxConcurrency: speed * 10 } );
+} catch ( error ) {
+    printErr('Invalid --rateLimits: ' + error.message);
+    process.exit(1);
+}
+
 /* Keep empty paragraphs */
 let keepEmptyParagraphs = argv.keepEmptyParagraphs;
 
 /* Include fulltext index in ZIM file */
 let withZimFullTextIndex = argv.withZimFullTextIndex;
 
+/* ZIM writer, only zimwriterfs is able to create a fulltext index */
+let zimWriterType = argv.zimWriter || ( withZimFullTextIndex ? 'zimwriterfs' : 'native' );
+if ( zimWriterType != 'native' && zimWriterType != 'zimwriterfs' ) {
+    printErr('ZIM writer "' + zimWriterType + '" is not valid, it should be "native" or "zimwriterfs"');
+    process.exit(1);
+}
+if ( zimWriterType == 'native' && withZimFullTextIndex ) {
+    printErr('The native ZIM writer is not able to create a fulltext index, use --zimWriter=zimwriterfs');
+    process.exit(1);
+}
+let zimCompression = argv.zimCompression || 'xz';
+if ( !zimwriter.compressionTypes[zimCompression] ) {
+    printErr('ZIM compression "' + zimCompression + '" is not valid, it should be one of: ' + Object.keys(zimwriter.compressionTypes).join(', '));
+    process.exit(1);
+}
+
+/* Native ZIM writer of the current dump */
+let zimWriter;
+
+/* ZIM metadata computed while dumping */
+let zimIllustration;
+let zimCounter = '';
+
+/* Custom ZIM tags, completed per dump by the format */
+let customTags = ( argv.tags || '' ).split( /[;,]/ ).map( function( tag ) { return tag.trim() } ).filter( function( tag ) { return tag } );
+
 /* ZIM publisher */
 let publisher = argv.publisher || 'Wikimedia Foundation';
 
@@ -191,6 +382,15 @@ let publisher = argv.publisher || 'Wikimedia Foundation';
 let mwUrl = argv.mwUrl;
 let hostParts = urlParser.parse( mwUrl ).hostname.split( '.' );
 
+/* Rules to clean the articles */
+let cleanupRules;
+try {
+    cleanupRules = cleanuprules.loadCleanupRules( argv.cleanupRules || cleanuprules.getPresetForHost( urlParser.parse( mwUrl ).hostname ) );
+} catch ( error ) {
+    printErr('Invalid --cleanupRules: ' + error.message);
+    process.exit(1);
+}
+
 /* ZIM (content) creator */
 let creator = hostParts[0];
 if ( hostParts.length > 1 ) {
@@ -212,7 +412,16 @@ creator = creator.charAt(0).toUpperCase() + creator.substr( 1 );
 let namespacesToMirror = [];
 
 /* License footer template code */
-const footerTemplateCode = '<div style="clear:both; background-image:linear-gradient(180deg, #E8E8E8, white); border-top: dashed 2px #AAAAAA; padding: 0.5em 0.5em 2em 0.5em; margin-top: 1em; direction: ltr;">This article is issued from <a class="external text" href="{{ webUrl }}{{ articleId }}?oldid={{ oldId }}">{{ creator }}</a>{% if date %} - version of the {{ date }}{% endif %}. The text is available under the <a class="external text" href="http://creativecommons.org/licenses/by-sa/3.0/">Creative Commons Attribution/Share Alike</a> but additional terms may apply for the media files.</div>';
+const footerTemplateCode = '<div style="clear:both; background-image:linear-gradient(180deg, #E8E8E8, white); border-top: dashed 2px #AAAAAA; padding: 0.5em 0.5em 2em 0.5em; margin-top: 1em; direction: ltr;">This article is issued from <a class="external text" href="{{ webUrl }}{{ articleId }}?oldid={{ oldId }}">{{ creator }}</a>{% if date %} - version of the {{ date }}{% endif %}. The text is available under the <a class="external text" href="{{ licenseUrl }}">{{ licenseName }}</a> but additional terms may apply for the media files.</div>';
+
+/* License of the content, overwritten by the siteinfo "rightsinfo" */
+let licenseName = 'Creative Commons Attribution/Share Alike';
+let licenseUrl = 'http://creativecommons.org/licenses/by-sa/3.0/';
+
+/* Heading of the nearby articles, overwritten by the message of the
+ * wiki (from the NearbyPages or MobileFrontend extension) */
+let nearbyArticlesLabel = 'Nearby articles';
+const nearbyArticlesMessages = [ 'nearby-pages-title', 'mobile-frontend-nearby-title' ];
 
 /************************************/
 /* CONSTANT VARIABLE SECTION ********/
@@ -221,7 +430,10 @@ const footerTemplateCode = '<div style="clear:both; background-image:linear-grad
 let styleDirectory = 's';
 let mediaDirectory = 'm';
 let javascriptDirectory = 'j';
+let jsonDirectory = 'J';
+let geoDirectory = 'g';
 let mediaRegex = /^(.*\/)([^\/]+)(\/)(\d+px-|)(.+?)(\.[A-Za-z0-9]{2,6}|)(\.[A-Za-z0-9]{2,6}|)$/;
+let mathRenderRegex = /\/media\/math\/render\/(svg|png)\/([^\/?#]+)$/;
 let htmlTemplateCode = function(){/*
 <!DOCTYPE html>
 <html>
@@ -244,6 +456,110 @@ let htmlTemplateCode = function(){/*
 </html>
 */}.toString().slice(14,-3);
 
+/* Offline specific style, appended to the ResourceLoader one */
+let offlineStyleCode = function(){/*
+.lead-image { margin: 0 0 1em 0; text-align: center; }
+.lead-image img { max-width: 100%; height: auto; }
+.collapsible-heading { cursor: pointer; }
+.collapsible-heading:before { content: "\25BE"; display: inline-block; width: 1em; }
+.collapsible-heading.collapsed:before { content: "\25B8"; }
+.collapsible-heading.collapsed + .collapsible-block { display: none; }
+.offline-missing { color: inherit; text-decoration: none; }
+img { max-width: 100%; height: auto; }
+.index-letters, .index-pages { margin: 1em 0; line-height: 2em; }
+.index-letters a, .index-pages a, .index-pages strong { margin-right: 0.5em; }
+.index-search input { width: 100%; box-sizing: border-box; font-size: 1.1em; padding: 0.3em; }
+.index-search ul:empty { display: none; }
+.nearby-distance { color: #72777d; font-size: 0.9em; }
+*/}.toString().slice(14,-3);
+
+/* Javascript run in the page head */
+let headJavascriptCode = function(){/*
+document.documentElement.className += ' client-js';
+*/}.toString().slice(14,-3);
+
+/* Javascript run at the end of the page body, sections toggling */
+let bodyJavascriptCode = function(){/*
+(function () {
+    var headings = document.querySelectorAll('.collapsible-heading');
+
+    function toggle(heading, collapse) {
+        if (collapse) {
+            heading.className += ' collapsed';
+        } else {
+            heading.className = heading.className.replace(/ ?collapsed/g, '');
+        }
+    }
+
+    for (var i = 0; i < headings.length; i++) {
+        headings[i].addEventListener('click', function () {
+            toggle(this, this.className.indexOf('collapsed') < 0);
+        });
+    }
+
+    function expandTarget() {
+        var target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.substr(1)));
+        while (target && target.parentNode) {
+            if (target.className && (' ' + target.className + ' ').indexOf(' collapsible-block ') >= 0) {
+                toggle(target.previousElementSibling, false);
+            }
+            target = target.parentNode;
+        }
+    }
+    window.addEventListener('hashchange', expandTarget);
+    expandTarget();
+})();
+*/}.toString().slice(14,-3);
+
+/* Javascript of the index pages, search of the titles given by the
+ * titles.js file: prefix matches first, then the other ones */
+let searchJavascriptCode = function(){/*
+(function () {
+    var input = document.getElementById('index-search-input');
+    var results = document.getElementById('index-search-results');
+    var maxResults = 50;
+
+    function search() {
+        var query = input.value.toLowerCase().replace(/^\s+|\s+$/g, '');
+        var prefixMatches = [];
+        var otherMatches = [];
+        results.innerHTML = '';
+        if (!query) {
+            return;
+        }
+        for (var i = 0; i < indexTitles.length && prefixMatches.length < maxResults; i++) {
+            var position = indexTitles[i][0].toLowerCase().indexOf(query);
+            if (position == 0) {
+                prefixMatches.push(indexTitles[i]);
+            } else if (position > 0 && otherMatches.length < maxResults) {
+                otherMatches.push(indexTitles[i]);
+            }
+        }
+        prefixMatches.concat(otherMatches).slice(0, maxResults).map(function (entry) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            link.setAttribute('href', entry[1]);
+            link.textContent = entry[0];
+            item.appendChild(link);
+            results.appendChild(item);
+        });
+    }
+
+    input.addEventListener('input', search);
+})();
+*/}.toString().slice(14,-3);
+
+/* Number of articles per index page */
+const indexPageSize = 500;
+
+/* Number of nearby articles shown on the geotagged articles, searched
+ * in cells of the grid of this size (in degrees) */
+const nearbyArticleCount = 10;
+const geoCellSize = 1;
+
+/* Number of article details read at once to build the geo index */
+const geoIndexBatchSize = 1000;
+
 /************************************/
 /* SYSTEM VARIABLE SECTION **********/
 /************************************/
@@ -258,6 +574,7 @@ let langIso3 = 'eng';
 let name = argv.customZimTitle || '';
 let description = argv.customZimDescription || '';
 let mainPageId = argv.customMainPage || '';
+let indexPages = [];
 let articleIds = {};
 let namespaces = {};
 let mwWikiPath = argv.mwWikiPath !== undefined && argv.mwWikiPath !== true ? argv.mwWikiPath : 'wiki';
@@ -267,13 +584,26 @@ let webUrlPath = urlParser.parse( webUrl ).pathname;
 let webUrlPort = getRequestOptionsFromUrl( webUrl ).port;
 let mwApiPath = argv.mwApiPath || 'w/api.php';
 let apiUrl = mwUrl + mwApiPath + '?';
+let loadUrl = mwUrl + mwApiPath.replace(/api\.php$/, 'load.php') + '?';
 
 if ( !parsoidUrl ) {
     parsoidUrl = apiUrl + "action=visualeditor&format=json&paction=parse&page=";
 }
 
+if ( !restUrl ) {
+    restUrl = mwUrl + 'api/rest_v1/';
+} else if ( restUrl[restUrl.length - 1] != '/' ) {
+    restUrl += '/';
+}
+
+/* Set by checkRestApi(), Parsoid is used as fallback */
+let useRestApi = true;
+
 let nopic = false;
+let novid = false;
+let noaudio = false;
 let nozim = false;
+let outputFormat = defaultOutputFormat;
 let filenameRadical = '';
 let htmlRootPath = '';
 let cacheDirectory = ( argv.cacheDirectory ? argv.cacheDirectory : pathParser.resolve( process.cwd(), 'cac' ) ) + '/';
@@ -293,70 +623,123 @@ let contentDate = date.getFullYear() + '-' + ( '0' + ( date.getMonth() + 1 ) ).s
 /************************************/
 
 /* Check if opt. binaries are available */
-let optBinaries = [ 'jpegoptim --version', 'pngquant --version', 'gifsicle --version', 'advdef --version', 'file --help', 'stat --version', 'convert --version' ];
+/* Missing image optimization tools are only reported, by imageOptimizer.init() */
+let optBinaries = [ 'convert --version' ];
 try {
     dumps.forEach(function (dump) {
         if (dump.toLowerCase().indexOf('nozim') < 0) {
-            optBinaries.push('zimwriterfs --help');
+            if (zimWriterType == 'zimwriterfs') {
+                optBinaries.push('zimwriterfs --help');
+            } else if (zimwriter.compressionTypes[zimCompression].command) {
+                optBinaries.push(zimwriter.compressionTypes[zimCompression].command + ' --version');
+            }
             throw BreakException;
         }
     });
 } catch(e) {
 }
-optBinaries.forEach( function( cmd ) {
-    exec(cmd, function (error, stdout, stderr) {
-        if (error) {
-            printErr('Failed to find binary "' + cmd.split(' ')[0] + '": (' + error + ')');
-            process.exit(1);
-        }
-    }, true, true);
-});
+if ( !cleanupStaleRunsOnly && !dryRun ) {
+    optBinaries.forEach( function( cmd ) {
+        exec(cmd, function (error, stdout, stderr) {
+            if (error) {
+                printErr('Failed to find binary "' + cmd.split(' ')[0] + '": (' + error + ')');
+                process.exit(1);
+            }
+        }, true, true);
+    });
+}
 
-/* Setup redis client */
-let redisClient = redis.createClient( redisSocket );
-let redisNamePrefix = (new Date).getTime();
-let redisRedirectsDatabase = redisNamePrefix + 'r';
-let redisMediaIdsDatabase = redisNamePrefix + 'm';
-let redisArticleDetailsDatabase = redisNamePrefix + 'd';
-let redisCachedMediaToCheckDatabase = redisNamePrefix + 'c';
+/* Setup key-value store, a dry run keeps nothing */
+if ( dryRun ) {
+    kvStoreType = 'memory';
+}
+if ( kvStoreType == 'file' ) {
+    mkdirp.sync( pathParser.dirname( kvStoreFile ) );
+}
+let kvStore = kvstore.createKvStore( kvStoreType, {
+    redisSocket: redisSocket,
+    path: kvStoreFile,
+    onError: function( error ) {
+        printErr( 'Unable to write the key-value store file ' + kvStoreFile + ': ' + error );
+        process.exit( 1 );
+    }
+} );
+let kvNamePrefix = 'mwoffliner:' + (new Date).getTime() + '-' + util.randomString(8) + ':';
+let kvRedirectsDatabase = kvNamePrefix + 'r';
+let kvMediaIdsDatabase = kvNamePrefix + 'm';
+let kvArticleDetailsDatabase = kvNamePrefix + 'd';
+let kvCachedMediaToCheckDatabase = kvNamePrefix + 'c';
+let kvRunDatabases = [ kvRedirectsDatabase, kvMediaIdsDatabase, kvArticleDetailsDatabase, kvCachedMediaToCheckDatabase ];
 
 /* Get content */
 async.series(
     [
+	function( finished ) { cleanupStaleRunsOnly ? cleanupStaleRuns( exitAfterCleanup ) : finished() },
+	function( finished ) { dryRun ? finished() : registerRun( finished ) },
+	function( finished ) { dryRun ? finished() : imageOptimizer.init( finished ) },
 	function( finished ) { login( finished ) },
 	function( finished ) { getTextDirection( finished ) },
 	function( finished ) { getSiteInfo( finished ) },
+	function( finished ) { checkRestApi( finished ) },
 	function( finished ) { getSubTitle( finished ) },
 	function( finished ) { getNamespaces( finished ) },
-	function( finished ) { createDirectories( finished ) },
+	function( finished ) { dryRun ? finished() : createDirectories( finished ) },
 	function( finished ) { prepareCache( finished ) },
-	function( finished ) { checkResume( finished ) },
-	function( finished ) { getArticleIds( finished ) },
-	function( finished ) { cacheRedirects( finished ) },
+	function( finished ) { retryFailed ? retryFailedItems( finished ) : finished() },
+	function( finished ) { dryRun ? finished() : checkResume( finished ) },
+	function( finished ) { dryRun ? finished() : getArticleIds( finished ) },
+	function( finished ) { dryRun ? finished() : cacheRedirects( finished ) },
+	function( finished ) { dryRun ? finished() : fetchArticles( finished ) },
+	function( finished ) { dryRun ? finished() : loadGeoIndex( finished ) },
 	function( finished ) {
         async.eachSeries(
             dumps,
             function (dump, finished) {
                 printLog('Starting a new dump...');
                 nopic = dump.toString().search('nopic') >= 0;
+                novid = dump.toString().search('novid') >= 0;
+                noaudio = dump.toString().search('noaudio') >= 0;
                 nozim = dump.toString().search('nozim') >= 0;
+                outputFormat = getDumpOutputFormat(dump);
                 keepHtml = nozim ? true : keepHtml;
                 filenameRadical = computeFilenameRadical();
                 htmlRootPath = computeHtmlRootPath();
+                zimIllustration = undefined;
+                zimCounter = '';
+
+                if (dryRun) {
+                    printZimPlan(finished);
+                    return;
+                }
 
                 async.series(
                     [
+                        function (finished) {
+                            openCheckpoint(finished)
+                        },
                         function (finished) {
                             createSubDirectories(finished)
                         },
+                        function (finished) {
+                            openZimWriter(finished)
+                        },
                         function (finished) {
                             saveFavicon(finished)
                         },
+                        function (finished) {
+                            saveStylesheet(finished)
+                        },
+                        function (finished) {
+                            saveJavascript(finished)
+                        },
+                        function (finished) {
+                            saveGeoIndex(finished)
+                        },
                         function (finished) {
                             getMainPage(finished)
                         },
                         function (finished) {
-                            writeHtmlRedirects ? saveHtmlRedirects(finished) : finished()
+                            writeHtmlRedirects && withHtmlOutput() ? saveHtmlRedirects(finished) : finished()
                         },
                         function (finished) {
                             saveArticles(finished)
@@ -370,6 +753,15 @@ async.series(
                         function (finished) {
                             buildZIM(finished)
                         },
+                        function (finished) {
+                            writeZimMetadataFile(finished)
+                        },
+                        function (finished) {
+                            saveDumpManifest(finished)
+                        },
+                        function (finished) {
+                            writeFailedItems(finished)
+                        },
                         function (finished) {
                             endProcess(finished)
                         }
@@ -382,7 +774,13 @@ async.series(
                 async.series(
                     [
                         function (finished) {
-                            if (skipCacheCleaning) {
+                            dryRun ? finished() : saveManifest(finished)
+                        },
+                        function (finished) {
+                            parsedArticlesDirectory ? exec('rm -rf "' + parsedArticlesDirectory + '"', finished) : finished()
+                        },
+                        function (finished) {
+                            if (skipCacheCleaning || dryRun) {
                                 printLog('Skipping cache cleaning...');
                                 exec('rm -f "' + cacheDirectory + 'ref"', finished);
                             } else {
@@ -402,18 +800,19 @@ async.series(
         async.series(
             [
                 function (finished) {
-                    printLog('Flushing redis databases...');
-                    redisClient.del(redisRedirectsDatabase, redisMediaIdsDatabase, redisArticleDetailsDatabase, redisCachedMediaToCheckDatabase, function () {
-                        printLog('Redis databases flushed.');
+                    printLog('Flushing key-value store databases...');
+                    unregisterRun(function () {
+                        printLog('Key-value store databases flushed.');
                         finished();
                     })
                 },
                 function (finished) {
-                    printLog('Quitting redis databases...');
-                    redisClient.quit();
-                    printLog('Closing HTTP agents...');
-                    closeAgents();
-                    finished();
+                    printLog('Quitting key-value store...');
+                    kvStore.quit(function () {
+                        printLog('Closing HTTP agents...');
+                        closeAgents();
+                        finished();
+                    });
                 }
             ],
             function (error, result) {
@@ -431,86 +830,24 @@ async.series(
 /************************************/
 
 /* Setting up media optimization queue */
+const imageOptimizer = optimizer.createOptimizer( {
+    convertTo: ( imageFormat ? [ imageFormat ] : [] ).concat( transcodeMedia ? [ 'webm', 'opus' ] : [] ),
+    log: printLog,
+    warn: printErr
+} );
 const optimizationQueue = async.queue( function ( file, finished ) {
     let path = file.path;
 
-    function getOptimizationCommand(path, forcedType) {
-        let ext = pathParser.extname(path).split('.')[1] || '';
-        let basename = path.substring(0, path.length - ext.length - 1) || '';
-        let tmpExt = '.' + util.randomString(5) + '.' + ext;
-        let tmpPath = basename + tmpExt;
-        let type = forcedType || ext;
-
-        /* Escape paths */
-        path = path.replace(/"/g, '\\"').replace(/\$/g, '\\$').replace(/`/g, '\\`');
-        tmpPath = tmpPath.replace(/"/g, '\\"').replace(/\$/g, '\\$').replace(/`/g, '\\`');
-
-        if (type === 'jpg' || type === 'jpeg' || type === 'JPG' || type === 'JPEG') {
-            return 'jpegoptim -s -f --all-normal -m40 "' + path + '"';
-        } else if (type === 'png' || type === 'PNG') {
-            return 'pngquant --verbose --nofs --force --ext="' + tmpExt + '" "' + path +
-                '" && advdef -q -z -4 -i 5 "' + tmpPath +
-                '" && if [ $(stat -c%s "' + tmpPath + '") -lt $(stat -c%s "' + path + '") ]; then mv "' + tmpPath + '" "' + path + '"; else rm "' + tmpPath + '"; fi';
-        } else if (type === 'gif' || type === 'GIF') {
-            return 'gifsicle --verbose --colors 64 -O3 "' + path + '" -o "' + tmpPath +
-                '" && if [ $(stat -c%s "' + tmpPath + '") -lt $(stat -c%s "' + path + '") ]; then mv "' + tmpPath + '" "' + path + '"; else rm "' + tmpPath + '"; fi';
-        }
-    }
-
     if (path) {
-        fs.stat(path, function (error, stats) {
-            if (!error && stats.size == file.size) {
-                let cmd = getOptimizationCommand(path);
-
-                if (cmd) {
-                    async.retry(5,
-                        function (finished, skip) {
-                            exec(cmd, function (executionError, stdout, stderr) {
-                                if (executionError) {
-                                    fs.stat(path, function (error, stats) {
-                                        if (!error && stats.size > file.size) {
-                                            finished(null, true);
-                                        } else if (!error && stats.size < file.size) {
-                                            finished('File to optimize is smaller (before optimization) than it should be.');
-                                        } else {
-                                            exec('file -b --mime-type "' + path + '"', function (error, stdout, stderr) {
-                                                let type = stdout.replace(/image\//, '').replace(/[\n\r]/g, '');
-                                                cmd = getOptimizationCommand(path, type);
-
-                                                if (cmd) {
-                                                    setTimeout(finished, 2000, executionError);
-                                                } else {
-                                                    finished('Unable to find optimization command.');
-                                                }
-                                            });
-                                        }
-                                    });
-                                } else {
-                                    finished();
-                                }
-                            });
-                        },
-                        function (error, skip) {
-                            if (error) {
-                                printErr('Executing command : ' + cmd);
-                                printErr('Failed to optimize ' + path + ', with size=' + file.size + ' (' + error + ')');
-                            } else if (skip) {
-                                printLog('Optimization skipped for ' + path + ', with size=' + file.size + ', a better version was downloaded meanwhile.');
-                            } else {
-                                printLog('Successfully optimized ' + path);
-                            }
-                            finished();
-                        }
-                    );
-                } else {
-                    finished();
-                }
+        imageOptimizer.optimize(path, file.size, function (error, optimized) {
+            if (error) {
+                printErr('Failed to optimize ' + path + ', with size=' + file.size + ' (' + error + ')');
+            } else if (optimized) {
+                printLog('Successfully optimized ' + path);
             } else {
-                printErr('Failed to start to optimize ' + path + '. Size should be ' + file.size +
-                    ' (' + ( error ? 'file was probably deleted; error: ' +
-                        error : ( stats ? stats.size : 'No stats information' ) ) + ')');
-                finished();
+                printLog('Optimization skipped for ' + path + ', with size=' + file.size);
             }
+            finished();
         });
     } else {
         finished();
@@ -520,7 +857,9 @@ const optimizationQueue = async.queue( function ( file, finished ) {
 
 /* Setting up the downloading queue */
 const downloadFileQueue = async.queue( function ( url, finished ) {
-    if (url) {
+    if (url && isTrackUrl(url)) {
+        downloadTrack(url, finished);
+    } else if (url) {
         downloadFileAndCache(url, finished);
     } else {
         finished();
@@ -531,6 +870,91 @@ const downloadFileQueue = async.queue( function ( url, finished ) {
 /* FUNCTIONS ************************/
 /************************************/
 
+function registerRun( finished ) {
+    printLog('Registering run ' + kvNamePrefix + ' in the key-value store...');
+
+    function heartbeat(finished) {
+        let run = {
+            'host': os.hostname(),
+            'pid': process.pid,
+            'heartbeat': Date.now(),
+            'databases': kvRunDatabases
+        };
+        kvStore.hset(kvRunsDatabase, kvNamePrefix, JSON.stringify(run), finished);
+    }
+
+    heartbeat(function (error) {
+        if (error) {
+            printErr('Unable to register the run in the key-value store: ' + error);
+            exitAfterUnregisteringRun(1);
+        } else {
+            runHeartbeatTimer = setInterval(heartbeat, runHeartbeatInterval * 1000);
+            runHeartbeatTimer.unref();
+            finished();
+        }
+    });
+}
+
+/* Delete the data of the run, and the run itself, from the key-value store */
+function unregisterRun( finished ) {
+    clearInterval(runHeartbeatTimer);
+    kvStore.del.apply(kvStore, kvRunDatabases.concat([function () {
+        kvStore.hdel(kvRunsDatabase, kvNamePrefix, finished);
+    }]));
+}
+
+function cleanupStaleRuns( finished ) {
+    printLog('Cleaning up stale runs in the key-value store...');
+
+    function isAlive(run) {
+        if (run.host == os.hostname()) {
+            try {
+                process.kill(run.pid, 0);
+            } catch (error) {
+                return error.code == 'EPERM';
+            }
+        }
+        return Date.now() - run.heartbeat < runStaleTimeout * 1000;
+    }
+
+    kvStore.hgetall(kvRunsDatabase, function (error, runs) {
+        if (error) {
+            printErr('Unable to get runs from the key-value store: ' + error);
+            exitAfterUnregisteringRun(1);
+            return;
+        }
+
+        async.eachSeries(Object.keys(runs || {}), function (runPrefix, finished) {
+            let run;
+            try {
+                run = JSON.parse(runs[runPrefix]);
+            } catch (error) {
+                run = {'heartbeat': 0, 'databases': []};
+            }
+
+            if (runPrefix == kvNamePrefix || isAlive(run)) {
+                finished();
+            } else {
+                printLog('Deleting data of stale run ' + runPrefix + ' (' + run.host + ', pid ' + run.pid + ')...');
+                kvStore.del.apply(kvStore, ( run.databases || [] ).concat([function () {
+                    kvStore.hdel(kvRunsDatabase, runPrefix, finished);
+                }]));
+            }
+        }, finished);
+    });
+}
+
+function exitAfterCleanup( error ) {
+    if (error) {
+        printErr('Unable to cleanup stale runs: ' + error);
+    } else {
+        printLog('Stale runs cleaned up.');
+    }
+    kvStore.quit(function () {
+        process.exit(error ? 1 : 0);
+    });
+}
+
 function login( finished ) {
     if (mwUsername != '' && mwPassword != '') {
         let url = apiUrl + 'action=login&format=json&lgname=' + mwUsername + '&lgpassword=' + mwPassword;
@@ -556,7 +980,7 @@ function login( finished ) {
                         finished();
                     } else {
                         printErr('Login failed');
-                        process.exit(1);
+                        exitAfterUnregisteringRun(1);
                     }
                 });
             }
@@ -570,7 +994,10 @@ function checkResume( finished ) {
     for (let i = 0; i < dumps.length; i++) {
         let dump = dumps[i];
         nopic = dump.toString().search('nopic') >= 0;
+        novid = dump.toString().search('novid') >= 0;
+        noaudio = dump.toString().search('noaudio') >= 0;
         nozim = dump.toString().search('nozim') >= 0;
+        outputFormat = getDumpOutputFormat(dump);
         htmlRootPath = computeHtmlRootPath();
 
         if (resume && !nozim) {
@@ -585,6 +1012,31 @@ function checkResume( finished ) {
     finished(dumps.length <= 0);
 }
 
+/* The output format might be given as a dump flag, "json" and "html"
+ * together are equivalent to "both" */
+function getDumpOutputFormat( dump ) {
+    let flags = dump.toString().split(',');
+    let html = flags.indexOf('html') >= 0;
+    let json = flags.indexOf('json') >= 0;
+
+    if (flags.indexOf('both') >= 0 || ( html && json )) {
+        return 'both';
+    } else if (json) {
+        return 'json';
+    } else if (html) {
+        return 'html';
+    }
+    return defaultOutputFormat;
+}
+
+function withHtmlOutput() {
+    return outputFormat != 'json';
+}
+
+function withJsonOutput() {
+    return outputFormat != 'html';
+}
+
 function closeAgents( finished ) {
     http.globalAgent.destroy();
     https.globalAgent.destroy();
@@ -597,6 +1049,11 @@ function prepareCache( finished ) {
     printLog('Preparing cache...');
     cacheDirectory = cacheDirectory + computeFilenameRadical(true, true, true) + '/';
     redirectsCacheFile = computeRedirectsCacheFilePath();
+    manifestCacheFile = cacheDirectory + 'manifest.jsonl';
+    if (dryRun) {
+        finished();
+        return;
+    }
     mkdirp(cacheDirectory + 'm/', function () {
         fs.writeFileSync(cacheDirectory + 'ref', '42');
         finished();
@@ -618,20 +1075,30 @@ function createDirectories( finished ) {
         function (error) {
             if (error) {
                 printErr('Unable to create mandatory directories : ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 finished();
             }
         });
 }
 
+/* Relative links and links to the mirrored wiki itself */
+function isInternalHref( href ) {
+    let host = urlParser.parse(href, false, true).host;
+    return !host || host == webUrlHost;
+}
+
 function extractTargetIdFromHref( href ) {
     try {
-        let pathname = urlParser.parse(href, false, true).pathname || '';
+        let parsedUrl = urlParser.parse(href, true, true);
+        let pathname = parsedUrl.pathname || '';
         if (pathname.indexOf('./') == 0) {
             return util.myDecodeURIComponent(pathname.substr(2));
         } else if (pathname.indexOf(webUrlPath) == 0) {
             return util.myDecodeURIComponent(pathname.substr(webUrlPath.length));
+        } else if (pathname == '/' + mwApiPath.replace(/api\.php$/, 'index.php') && typeof parsedUrl.query.title == 'string') {
+            /* For example red links: /w/index.php?title=Foo&action=edit&redlink=1 */
+            return parsedUrl.query.title;
         }
     } catch (error) {
         printErr('Unable to parse href ' + href);
@@ -667,6 +1134,9 @@ function computeFilenameRadical( withoutSelection, withoutPictureStatus, without
 
     if (!withoutPictureStatus) {
         radical += nopic ? '_nopic' : '';
+        radical += novid ? '_novid' : '';
+        radical += noaudio ? '_noaudio' : '';
+        radical += outputFormat == 'json' ? '_json' : outputFormat == 'both' ? '_html_json' : '';
     }
 
     if (!withoutDate) {
@@ -703,85 +1173,535 @@ function computeRedirectsCacheFilePath() {
     return cacheDirectory + computeFilenameRadical(false, true, true) + '.redirects';
 }
 
-function buildZIM( finished ) {
-    if (!nozim) {
-        exec('sync', function (error) {
-            let zimPath = computeZimRootPath();
-            let cmd = 'zimwriterfs --welcome=index.htm --favicon=favicon.png --language=' + langIso3
-                + ( mainPageId ? '--welcome=' + getArticleBase(mainPageId) : '--welcome=index.htm' )
-                + ( deflateTmpHtml ? ' --inflateHtml ' : '' )
-                + ( verbose ? ' --verbose ' : '' )
-                + ( nopic ? ' --tags=nopic' : '' )
-                + ' --name="' + computeZimName() + '"'
-                + ( withZimFullTextIndex ? ' --withFullTextIndex' : '' )
-                + ( writeHtmlRedirects ? '' : ' --redirects="' + redirectsCacheFile + '"' )
-                + ' --title="' + name + '" --description="' + ( description || subTitle || name ) + '" --creator="' + creator + '" --publisher="'
-                + publisher + '" "' + htmlRootPath + '" "' + zimPath + '"';
-            printLog('Building ZIM file ' + zimPath + ' (' + cmd + ')...');
-            printLog('RAID: ' + computeZimName());
-            executeTransparently('zimwriterfs',
-                [deflateTmpHtml ? '--inflateHtml' : '',
-                    verbose ? '--verbose' : '',
-                    writeHtmlRedirects ? '' : '--redirects=' + redirectsCacheFile,
-                    withZimFullTextIndex ? '--withFullTextIndex' : '',
-                    nopic ? '--tags=nopic' : '',
-                    mainPageId ? '--welcome=' + getArticleBase(mainPageId) : '--welcome=index.htm',
-                    '--minChunkSize=512',
-                    '--favicon=favicon.png',
-                    '--language=' + langIso3,
-                    '--title=' + name,
-                    '--name=' + computeZimName(),
-                    '--description=' + ( description || subTitle || name ),
-                    '--creator=' + creator,
-                    '--publisher=' + publisher,
-                    htmlRootPath,
-                    zimPath],
-                function (error) {
-                    if (error) {
-                        printErr('Failed to build successfully the ZIM file ' + zimPath + ' (' + error + ')');
-                        process.exit(1);
-                    } else {
-                        printLog('ZIM file built at ' + zimPath);
-                    }
+/* The welcome page, or the JSON of the main page article if there is
+ * no HTML output */
+function getZimMainPage() {
+    if (withHtmlOutput() || !mainPageId) {
+        return {namespace: 'A', url: 'index.htm'};
+    }
+    return {namespace: 'J', url: getArticleBase(mainPageId, false, '.json')};
+}
 
-                    /* Delete the html directory ? */
-                    if (keepHtml) {
-                        finished();
-                    } else {
-                        exec('rm -rf \"' + htmlRootPath + '\"', finished);
-                    }
-                }, !verbose, !verbose);
-        }).on('error', function (error) {
-            printErr(error)
-        });
-    } else {
-        finished();
+/* Path of the welcome page in the HTML directory */
+function getZimMainPageUrl() {
+    let mainPage = getZimMainPage();
+    return mainPage.namespace == 'J' ? jsonDirectory + '/' + mainPage.url : mainPage.url;
+}
+
+function getZimFlavour() {
+    let flavour = [ nopic && 'nopic', novid && 'novid', noaudio && 'noaudio' ].filter(function (flag) {
+        return flag;
+    }).join('_');
+    return ( flavour || 'maxi' ) + ( outputFormat == 'json' ? '_json' : outputFormat == 'both' ? '_html_json' : '' );
+}
+
+function getZimTags() {
+    let tags = customTags.slice();
+    if (nopic) {
+        tags.push('nopic');
+    }
+    if (novid) {
+        tags.push('novid');
+    }
+    if (noaudio) {
+        tags.push('noaudio');
+    }
+    if (withJsonOutput()) {
+        tags.push('json');
     }
+    return tags.filter(function (tag, index) {
+        return tags.indexOf(tag) == index;
+    }).join(';');
 }
 
-function endProcess( finished ) {
-    printLog('Dump finished with success.');
-    redisClient.del(redisMediaIdsDatabase, finished);
+/* Metadata of the ZIM file of the current dump, used by both ZIM
+ * writers and the metadata file; empty values are not written. The
+ * Counter is only known once the dump is done. */
+function getZimMetadata() {
+    return {
+        'Title': name,
+        'Description': description || subTitle || name,
+        'Language': langIso3,
+        'Creator': creator,
+        'Publisher': publisher,
+        'Name': computeZimName(),
+        'Date': date.toISOString().substring(0, 10),
+        'Source': urlParser.parse(mwUrl).hostname,
+        'Flavour': getZimFlavour(),
+        'Tags': getZimTags(),
+        'Counter': zimCounter,
+        'Illustration_48x48@1': zimIllustration
+    };
 }
 
-function drainDownloadFileQueue( finished ) {
-    printLog(downloadFileQueue.length() + " images still to be downloaded.");
-    async.doWhilst(
-        function (finished) {
-            if (downloadFileQueue.idle()) {
-                printLog('Process still downloading images...');
-            }
-            setTimeout(finished, 1000);
-        },
-        function () {
-            return !downloadFileQueue.idle()
-        },
-        function (error) {
-            let drainBackup = downloadFileQueue.drain;
-            downloadFileQueue.drain = function (error) {
-                if (error) {
+/* zimwriterfs sets the Date and the Counter itself, and takes the
+ * illustration from the favicon */
+const zimwriterfsMetadataOptions = {
+    'Title': 'title',
+    'Description': 'description',
+    'Language': 'language',
+    'Creator': 'creator',
+    'Publisher': 'publisher',
+    'Name': 'name',
+    'Source': 'source',
+    'Flavour': 'flavour',
+    'Tags': 'tags'
+};
+
+function getZimwriterfsArgs() {
+    let metadata = getZimMetadata();
+    let args = [];
+
+    if (deflateTmpHtml) {
+        args.push('--inflateHtml');
+    }
+    if (verbose) {
+        args.push('--verbose');
+    }
+    if (!writeHtmlRedirects && withHtmlOutput()) {
+        args.push('--redirects=' + redirectsCacheFile);
+    }
+    if (withZimFullTextIndex) {
+        args.push('--withFullTextIndex');
+    }
+    args.push('--welcome=' + getZimMainPageUrl());
+    args.push('--minChunkSize=512');
+    args.push('--favicon=favicon.png');
+    Object.keys(zimwriterfsMetadataOptions).map(function (key) {
+        if (metadata[key]) {
+            args.push('--' + zimwriterfsMetadataOptions[key] + '=' + metadata[key]);
+        }
+    });
+    args.push(htmlRootPath);
+    args.push(computeZimRootPath());
+
+    return args;
+}
+
+/* Command line as it could be pasted in a shell */
+function formatCommand( command, args ) {
+    return [command].concat(args).map(function (arg) {
+        return /^[\w\/.,:=@+-]+$/.test(arg) ? arg : "'" + arg.replace(/'/g, "'\\''") + "'";
+    }).join(' ');
+}
+
+function printZimPlan( finished ) {
+    if (nozim) {
+        printLog('[dry run] No ZIM file, HTML would be written in ' + htmlRootPath);
+        finished();
+        return;
+    }
+
+    let metadata = getZimMetadata();
+    printLog('[dry run] ZIM file ' + computeZimRootPath());
+    printLog('[dry run] Welcome page: ' + getZimMainPageUrl());
+    Object.keys(metadata).map(function (key) {
+        if (Buffer.isBuffer(metadata[key])) {
+            printLog('[dry run] ' + key + ': PNG image of ' + metadata[key].length + ' bytes');
+        } else if (metadata[key]) {
+            printLog('[dry run] ' + key + ': ' + metadata[key]);
+        }
+    });
+    if (zimWriterType == 'zimwriterfs') {
+        printLog('[dry run] Command: ' + formatCommand('zimwriterfs', getZimwriterfsArgs()));
+    } else {
+        printLog('[dry run] Written natively, with ' + zimCompression + ' compression');
+    }
+    finished();
+}
+
+/* Number of files per MIME type in the HTML directory, as the ZIM
+ * Counter metadata */
+function computeHtmlDirectoryCounter( finished ) {
+    let counter = {};
+
+    function countDirectory(directory, finished) {
+        fs.readdir(directory, function (error, filenames) {
+            async.eachSeries(filenames || [], function (filename, finished) {
+                let path = directory + filename;
+                fs.stat(path, function (error, stats) {
+                    if (error) {
+                        finished();
+                    } else if (stats.isDirectory()) {
+                        countDirectory(path + '/', finished);
+                    } else {
+                        let mimeType = zimwriter.getMimeType(path);
+                        counter[mimeType] = ( counter[mimeType] || 0 ) + 1;
+                        finished();
+                    }
+                });
+            }, finished);
+        });
+    }
+
+    countDirectory(htmlRootPath, function () {
+        finished(zimwriter.formatCounter(counter));
+    });
+}
+
+function computeMetadataFilePath() {
+    return computeZimRootPath().replace(/\.zim$/, '.metadata.json');
+}
+
+/* Metadata of the dump in a JSON file, next to the ZIM file (or the
+ * HTML directory), for the catalogs */
+function writeZimMetadataFile( finished ) {
+    let metadata = getZimMetadata();
+    let json = {};
+    Object.keys(metadata).map(function (key) {
+        if (Buffer.isBuffer(metadata[key])) {
+            json[key] = metadata[key].toString('base64');
+        } else if (metadata[key]) {
+            json[key] = metadata[key];
+        }
+    });
+
+    let metadataPath = computeMetadataFilePath();
+    printLog('Writing metadata file ' + metadataPath + '...');
+    fs.writeFile(metadataPath, JSON.stringify(json, null, 2), function (error) {
+        if (error) {
+            printErr('Unable to write metadata file ' + metadataPath + ': ' + error);
+        }
+        finished();
+    });
+}
+
+function openZimWriter( finished ) {
+    zimWriter = undefined;
+    if (!nozim && zimWriterType == 'native') {
+        zimWriter = zimwriter.createZimWriter({
+            path: computeZimRootPath(),
+            tmpPath: pathParser.resolve(process.cwd(), tmpDirectory, computeFilenameRadical() + '.zim'),
+            compression: zimCompression,
+            mainPage: getZimMainPage()
+        });
+    }
+    finished();
+}
+
+/* Write a file of the dump, with a path relative to the HTML root
+ * directory, in this directory if necessary (HTML being deflated if
+ * requested), otherwise straight in the natively written ZIM file */
+function writeDumpFile( base, content, title, finished ) {
+    if (!withHtmlDirectory()) {
+        addDumpFileToZim(base, content, title, finished);
+    } else if (deflateTmpHtml && /\.html?$/.test(base)) {
+        zlib.deflate(content, function (error, deflatedContent) {
+            fs.writeFile(htmlRootPath + base, deflatedContent, finished);
+        });
+    } else {
+        fs.writeFile(htmlRootPath + base, content, finished);
+    }
+}
+
+function addDumpFileToZim( base, content, title, finished ) {
+    if (base.indexOf(jsonDirectory + '/') == 0) {
+        zimWriter.addArticle({namespace: 'J', url: base.substr(jsonDirectory.length + 1), title: title, content: content}, finished);
+    } else {
+        zimWriter.addArticle({namespace: 'A', url: base, title: title, content: content}, finished);
+    }
+}
+
+/* Articles are written in the HTML directory, if they are not only
+ * streamed in a native ZIM; a resumable dump needs them on disk */
+function withHtmlDirectory() {
+    return nozim || zimWriterType == 'zimwriterfs' || keepHtml || resume;
+}
+
+/* Without the date, to resume a dump interrupted the previous month */
+function computeCheckpointPath() {
+    return pathParser.resolve(process.cwd(), tmpDirectory, computeFilenameRadical(false, false, true) + '.checkpoint');
+}
+
+/* Start the journal of the dump, after having read the one of an
+ * interrupted previous run, if any: its articles are not dumped again
+ * and its media are known to be in the HTML directory already. Items
+ * which were in progress are not in the journal, so done again. The
+ * journal starts with the HTML directory of the dump ("d" line), moved
+ * if its name has changed meanwhile; if it does not exist anymore, the
+ * dump starts again from scratch. */
+function openCheckpoint( finished ) {
+    checkpointedArticles = {};
+    checkpointStream = undefined;
+    resumingDump = false;
+    if (!resume) {
+        finished();
+        return;
+    }
+
+    let checkpointPath = computeCheckpointPath();
+    let media = {};
+    if (fs.existsSync(checkpointPath)) {
+        let previousHtmlRootPath = htmlRootPath;
+        fs.readFileSync(checkpointPath).toString().split('\n').map(function (line) {
+            let parts = line.split('\t');
+            if (parts[0] == 'a' && parts.length == 2) {
+                checkpointedArticles[parts[1]] = true;
+            } else if (parts[0] == 'm' && parts.length == 3) {
+                media[parts[1]] = parts[2];
+            } else if (parts[0] == 'd' && parts.length == 2) {
+                previousHtmlRootPath = parts[1];
+            }
+        });
+
+        if (previousHtmlRootPath != htmlRootPath && fs.existsSync(previousHtmlRootPath) && !fs.existsSync(htmlRootPath)) {
+            printLog('Moving HTML directory of the interrupted dump from ' + previousHtmlRootPath + ' to ' + htmlRootPath);
+            fs.renameSync(previousHtmlRootPath, htmlRootPath);
+        }
+        resumingDump = fs.existsSync(htmlRootPath);
+
+        if (resumingDump) {
+            printLog('Resuming interrupted dump, ' + Object.keys(checkpointedArticles).length + ' article(s) and ' +
+                Object.keys(media).length + ' media already done (' + checkpointPath + ')');
+        } else {
+            printLog('HTML directory of the interrupted dump not found, starting again (' + checkpointPath + ')');
+            checkpointedArticles = {};
+            media = {};
+        }
+    }
+
+    checkpointStream = fs.createWriteStream(checkpointPath, {flags: resumingDump ? 'a' : 'w'});
+    checkpointStream.on('error', function (error) {
+        printErr('Unable to write the checkpoint ' + checkpointPath + ': ' + error);
+        exitAfterUnregisteringRun(1);
+    });
+    checkpoint('d', htmlRootPath);
+    Object.keys(media).length ? kvStore.hmset(kvMediaIdsDatabase, media, finished) : finished();
+}
+
+function checkpoint( type, key, value ) {
+    if (checkpointStream) {
+        checkpointStream.write(type + '\t' + key + ( value !== undefined ? '\t' + value : '' ) + '\n');
+    }
+}
+
+function isResumingDump() {
+    return resumingDump;
+}
+
+/* The dump is done, nothing to resume anymore */
+function closeCheckpoint( finished ) {
+    if (checkpointStream) {
+        checkpointStream.end(function () {
+            checkpointStream = undefined;
+            fs.unlink(computeCheckpointPath(), function () {
+                finished();
+            });
+        });
+    } else {
+        finished();
+    }
+}
+
+/* The native ZIM writer gets the articles as they are saved; static
+ * files, media (once optimized), redirects and metadata are added at the
+ * end. HTML and JSON are in their own namespaces (A and J), all other
+ * files are in A too, for the relative links of the HTML to work. */
+function buildZIMNatively( finished ) {
+    let zimPath = computeZimRootPath();
+    printLog('Building ZIM file ' + zimPath + ' natively...');
+
+    function addDirectory(directory, finished) {
+        fs.readdir(htmlRootPath + directory, function (error, filenames) {
+            async.eachSeries(filenames || [], function (filename, finished) {
+                let path = directory + '/' + filename;
+                fs.stat(htmlRootPath + path, function (error, stats) {
+                    if (error) {
+                        printErr('Unable to add ' + path + ' to the ZIM file: ' + error);
+                        finished();
+                    } else if (stats.isDirectory()) {
+                        addDirectory(path, finished);
+                    } else {
+                        zimWriter.addFile({namespace: 'A', url: path, path: htmlRootPath + path}, finished);
+                    }
+                });
+            }, finished);
+        });
+    }
+
+    /* Add a file written by writeDumpFile() in the HTML directory */
+    function addStagedFile(base, title, finished) {
+        fs.readFile(htmlRootPath + base, function (error, content) {
+            if (error) {
+                finished();
+            } else if (deflateTmpHtml && /\.html?$/.test(base)) {
+                zlib.inflate(content, function (error, content) {
+                    error ? finished(error) : addDumpFileToZim(base, content, title, finished);
+                });
+            } else {
+                addDumpFileToZim(base, content, title, finished);
+            }
+        });
+    }
+
+    function addStagedArticles(finished) {
+        async.series(
+            [
+                function (finished) {
+                    addStagedFile('index.htm', name, finished);
+                },
+                function (finished) {
+                    async.eachSeries(indexPages, function (page, finished) {
+                        addStagedFile(page.base, page.title, finished);
+                    }, finished);
+                },
+                function (finished) {
+                    async.eachSeries(Object.keys(articleIds), function (articleId, finished) {
+                        let title = articleId.replace(/_/g, ' ');
+                        async.series(
+                            [
+                                function (finished) {
+                                    withHtmlOutput() ? addStagedFile(getArticleBase(articleId), title, finished) : finished();
+                                },
+                                function (finished) {
+                                    withJsonOutput() ? addStagedFile(jsonDirectory + '/' + getArticleBase(articleId, false, '.json'), title, finished) : finished();
+                                }
+                            ],
+                            finished);
+                    }, finished);
+                },
+                function (finished) {
+                    if (!writeHtmlRedirects || !withHtmlOutput()) {
+                        finished();
+                        return;
+                    }
+                    kvStore.hkeys(kvRedirectsDatabase, function (error, redirectIds) {
+                        async.eachSeries(redirectIds || [], function (redirectId, finished) {
+                            addStagedFile(getArticleBase(redirectId), redirectId.replace(/_/g, ' '), finished);
+                        }, finished);
+                    });
+                }
+            ],
+            finished);
+    }
+
+    async.series(
+        [
+            function (finished) {
+                withHtmlDirectory() ? addStagedArticles(finished) : finished();
+            },
+            function (finished) {
+                if (writeHtmlRedirects || !withHtmlOutput()) {
+                    finished();
+                    return;
+                }
+                fs.readFile(redirectsCacheFile, function (error, content) {
+                    if (error) {
+                        finished('Unable to read the redirects cache file ' + redirectsCacheFile + ': ' + error);
+                        return;
+                    }
+                    content.toString().split('\n').map(function (line) {
+                        let parts = line.split('\t');
+                        if (parts.length == 4) {
+                            zimWriter.addRedirect({namespace: parts[0], url: parts[1], title: parts[2], targetUrl: parts[3]});
+                        }
+                    });
+                    finished();
+                });
+            },
+            function (finished) {
+                async.eachSeries([styleDirectory, javascriptDirectory, mediaDirectory, geoDirectory], addDirectory, finished);
+            },
+            function (finished) {
+                zimWriter.addFile({namespace: '-', url: 'favicon', mimeType: 'image/png', path: htmlRootPath + 'favicon.png'}, finished);
+            },
+            function (finished) {
+                zimCounter = zimWriter.getCounter();
+                let metadata = getZimMetadata();
+                Object.keys(metadata).map(function (key) {
+                    if (metadata[key]) {
+                        zimWriter.addMetadata(key, metadata[key]);
+                    }
+                });
+                finished();
+            },
+            function (finished) {
+                zimWriter.finalize(finished);
+            }
+        ],
+        function (error) {
+            zimWriter = undefined;
+            if (error) {
+                printErr('Failed to build successfully the ZIM file ' + zimPath + ' (' + error + ')');
+                exitAfterUnregisteringRun(1);
+                return;
+            }
+            printLog('ZIM file built at ' + zimPath);
+
+            /* Delete the html directory ? */
+            if (keepHtml) {
+                finished();
+            } else {
+                exec('rm -rf \"' + htmlRootPath + '\"', finished);
+            }
+        });
+}
+
+function buildZIM( finished ) {
+    if (zimWriter) {
+        buildZIMNatively(finished);
+    } else if (!nozim) {
+        exec('sync', function (error) {
+            computeHtmlDirectoryCounter(function (counter) {
+                let zimPath = computeZimRootPath();
+                let args = getZimwriterfsArgs();
+                zimCounter = counter;
+                printLog('Building ZIM file ' + zimPath + ' (' + formatCommand('zimwriterfs', args) + ')...');
+                printLog('RAID: ' + computeZimName());
+                executeTransparently('zimwriterfs',
+                    args,
+                    function (error) {
+                        if (error) {
+                            printErr('Failed to build successfully the ZIM file ' + zimPath + ' (' + error + ')');
+                            exitAfterUnregisteringRun(1);
+                            return;
+                        }
+                        printLog('ZIM file built at ' + zimPath);
+
+                        /* Delete the html directory ? */
+                        if (keepHtml) {
+                            finished();
+                        } else {
+                            exec('rm -rf \"' + htmlRootPath + '\"', finished);
+                        }
+                    }, !verbose, !verbose);
+            });
+        }).on('error', function (error) {
+            printErr(error)
+        });
+    } else {
+        computeHtmlDirectoryCounter(function (counter) {
+            zimCounter = counter;
+            finished();
+        });
+    }
+}
+
+function endProcess( finished ) {
+    printLog('Dump finished with success.');
+    closeCheckpoint(function () {
+        kvStore.del(kvMediaIdsDatabase, finished);
+    });
+}
+
+function drainDownloadFileQueue( finished ) {
+    printLog(downloadFileQueue.length() + " images still to be downloaded.");
+    async.doWhilst(
+        function (finished) {
+            if (downloadFileQueue.idle()) {
+                printLog('Process still downloading images...');
+            }
+            setTimeout(finished, 1000);
+        },
+        function () {
+            return !downloadFileQueue.idle()
+        },
+        function (error) {
+            let drainBackup = downloadFileQueue.drain;
+            downloadFileQueue.drain = function (error) {
+                if (error) {
                     printErr('Error downloading images' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     if (downloadFileQueue.length() == 0) {
                         printLog('All images successfully downloaded');
@@ -811,7 +1731,7 @@ function drainOptimizationQueue( finished ) {
             optimizationQueue.drain = function (error) {
                 if (error) {
                     printErr('Error optimizing images' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     if (optimizationQueue.length() == 0) {
                         printLog('All images successfully optimized');
@@ -830,12 +1750,12 @@ function cacheRedirects( finished ) {
 
     printLog('Caching redirects...');
     function cacheRedirect(redirectId, finished) {
-        redisClient.hget(redisRedirectsDatabase, redirectId, function (error, target) {
+        kvStore.hget(kvRedirectsDatabase, redirectId, function (error, target) {
             if (error) {
-                printErr('Unable to get a redirect target from redis for caching: ' + error);
-                process.exit(1);
+                printErr('Unable to get a redirect target from the key-value store for caching: ' + error);
+                exitAfterUnregisteringRun(1);
             } else {
-                if (target) {
+                if (target && isMirrored(target)) {
                     printLog('Caching redirect ' + redirectId + ' (to ' + target + ')...');
                     let line = 'A\t' + getArticleBase(redirectId) + '\t' + redirectId.replace(/_/g, ' ') +
                         '\t' + getArticleBase(target, false) + '\n';
@@ -847,15 +1767,15 @@ function cacheRedirects( finished ) {
         });
     }
 
-    redisClient.hkeys(redisRedirectsDatabase, function (error, keys) {
+    kvStore.hkeys(kvRedirectsDatabase, function (error, keys) {
         if (error) {
-            printErr('Unable to get redirect keys from redis for caching: ' + error);
-            process.exit(1);
+            printErr('Unable to get redirect keys from the key-value store for caching: ' + error);
+            exitAfterUnregisteringRun(1);
         } else {
             async.eachLimit(keys, speed, cacheRedirect, function (error) {
                 if (error) {
                     printErr('Unable to cache a redirect: ' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     printLog('All redirects cached successfully.');
                     finished();
@@ -865,25 +1785,92 @@ function cacheRedirects( finished ) {
     });
 }
 
+/* Save the dumped articles (the ones which could not be retrieved are
+ * not in articleIds anymore) and the redirects in the manifest of the
+ * cache, base of the next incremental dump */
+function saveManifest( finished ) {
+    writeManifest(manifestCacheFile, {date: date.toISOString(), mwUrl: mwUrl}, finished);
+}
+
+/* Manifest of the dump, next to the ZIM file (or the HTML directory),
+ * with the media as they were downloaded */
+function saveDumpManifest( finished ) {
+    let header = {
+        date: date.toISOString(),
+        mwUrl: mwUrl,
+        name: computeZimName(),
+        flavour: getZimFlavour(),
+        outputFormat: outputFormat,
+        zim: nozim ? undefined : pathParser.basename(computeZimRootPath())
+    };
+    writeManifest(computeZimRootPath().replace(/\.zim$/, '.manifest.jsonl.gz'), header, finished);
+}
+
+function writeManifest( manifestPath, header, finished ) {
+    printLog('Saving manifest at ' + manifestPath + '...');
+    let tmpManifestPath = manifestPath.replace(/(\.gz)?$/, '.tmp$1');
+    let writer = manifest.createManifestWriter(tmpManifestPath, header);
+
+    async.series(
+        [
+            function (finished) {
+                kvStore.hgetall(kvArticleDetailsDatabase, function (error, details) {
+                    details = details || {};
+                    Object.keys(articleIds).map(function (articleId) {
+                        writer.addArticle(articleId, articleIds[articleId], details[articleId] ? JSON.parse(details[articleId]) : {});
+                    });
+                    finished(error);
+                });
+            },
+            function (finished) {
+                kvStore.hgetall(kvRedirectsDatabase, function (error, redirects) {
+                    redirects = redirects || {};
+                    Object.keys(redirects).map(function (redirectId) {
+                        writer.addRedirect(redirectId, redirects[redirectId]);
+                    });
+                    finished(error);
+                });
+            },
+            function (finished) {
+                kvStore.hgetall(kvMediaIdsDatabase, function (error, media) {
+                    media = media || {};
+                    Object.keys(media).sort().map(function (filename) {
+                        let width = parseInt(media[filename]);
+                        writer.addMedia(filename, width < INFINITY_WIDTH ? width : undefined);
+                    });
+                    finished(error);
+                });
+            },
+            function (finished) {
+                writer.end(finished);
+            },
+            function (finished) {
+                fs.rename(tmpManifestPath, manifestPath, finished);
+            }
+        ],
+        function (error) {
+            if (error) {
+                printErr('Unable to save the manifest: ' + error);
+                exitAfterUnregisteringRun(1);
+            } else {
+                finished();
+            }
+        });
+}
+
 function saveHtmlRedirects( finished ) {
     printLog('Saving HTML redirects...');
 
     function saveHtmlRedirect(redirectId, finished) {
-        redisClient.hget(redisRedirectsDatabase, redirectId, function (error, target) {
+        kvStore.hget(kvRedirectsDatabase, redirectId, function (error, target) {
             if (error) {
-                printErr('Unable to get a redirect target from redis for saving: ' + error);
-                process.exit(1);
+                printErr('Unable to get a redirect target from the key-value store for saving: ' + error);
+                exitAfterUnregisteringRun(1);
             } else {
-                if (target) {
+                if (target && isMirrored(target)) {
                     printLog('Writing HTML redirect ' + redirectId + ' (to ' + target + ')...');
                     let data = redirectTemplateCode.replace("{{ title }}", redirectId.replace(/_/g, ' ')).replace("{{ target }}", getArticleUrl(target));
-                    if (deflateTmpHtml) {
-                        zlib.deflate(data, function (error, deflatedHtml) {
-                            fs.writeFile(getArticlePath(redirectId), deflatedHtml, finished);
-                        });
-                    } else {
-                        fs.writeFile(getArticlePath(redirectId), data, finished);
-                    }
+                    writeDumpFile(getArticleBase(redirectId), data, redirectId.replace(/_/g, ' '), finished);
                 } else {
                     finished();
                 }
@@ -891,15 +1878,15 @@ function saveHtmlRedirects( finished ) {
         });
     }
 
-    redisClient.hkeys(redisRedirectsDatabase, function (error, keys) {
+    kvStore.hkeys(kvRedirectsDatabase, function (error, keys) {
         if (error) {
-            printErr('Unable to get redirect keys from redis for saving: ' + error);
-            process.exit(1);
+            printErr('Unable to get redirect keys from the key-value store for saving: ' + error);
+            exitAfterUnregisteringRun(1);
         } else {
             async.eachLimit(keys, speed, saveHtmlRedirect, function (error) {
                 if (error) {
                     printErr('Unable to save a HTML redirect: ' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     printLog('All redirects were saved successfully as HTML files.');
                     finished();
@@ -909,53 +1896,291 @@ function saveHtmlRedirects( finished ) {
     });
 }
 
-function saveArticles( finished ) {
+/* Download and parse all the articles before rendering any, for the ones
+ * which can not be retrieved to be excluded from the dump and its links.
+ * The parsed articles are kept in the temporary directory, where
+ * saveArticles() reads them for every dump. */
+function fetchArticles( finished ) {
+    let failedCount = 0;
+
+    function fetchArticle(articleId, finished) {
+        let articleUrl = getArticleContentUrl(articleId);
+        downloadContentAndCache(articleUrl, function (content) {
+            let json;
+            try {
+                json = parseArticleContent(content, articleId);
+            } catch (error) {
+                recordFailure({url: articleUrl, article: articleId, error: error});
+                uncacheContent(articleUrl);
+                delete articleIds[articleId];
+                failedCount++;
+                finished();
+                return;
+            }
+            fs.writeFile(getParsedArticlePath(articleId), JSON.stringify(json), function (error) {
+                if (error) {
+                    printErr('Unable to write the parsed article ' + articleId + ': ' + error);
+                    exitAfterUnregisteringRun(1);
+                    return;
+                }
+                finished();
+            });
+        });
+    }
 
-    function transformSections(json) {
+    parsedArticlesDirectory = pathParser.resolve(process.cwd(), tmpDirectory, computeFilenameRadical(false, true, true) + '.articles') + '/';
+    try {
+        mkdirp.sync(parsedArticlesDirectory);
+    } catch (error) {
+        printErr('Unable to create the directory of the parsed articles ' + parsedArticlesDirectory + ': ' + error);
+        exitAfterUnregisteringRun(1);
+        return;
+    }
 
-        // rewrite and download lead image URLs
-        transformLeadProperties(json['lead']);
+    printLog('Downloading articles...');
+    async.eachLimit(Object.keys(articleIds), speed, fetchArticle, function (error) {
+        if (failedCount) {
+            printErr(failedCount + ' article(s) could not be retrieved and are excluded from the dump');
 
-        json['lead']['sections'][0]['text'] = transformSection(domino.createDocument(json['lead']['sections'][0]['text']));
+            /* Without the redirects to them */
+            cacheRedirects(finished);
+        } else {
+            printLog('All articles were downloaded.');
+            finished();
+        }
+    });
+}
 
-        for (let i = 0; i < json['remaining']['sections'].length; i++) {
-            json['remaining']['sections'][i]['text'] = transformSection(domino.createDocument(json['remaining']['sections'][i]['text']));
+function getParsedArticlePath( articleId ) {
+    return parsedArticlesDirectory + crypto.createHash('sha1').update(articleId).digest('hex').substr(0, 20) + '.json';
+}
+
+/* Content Service JSON of an article, from the downloaded content */
+function parseArticleContent( content, articleId ) {
+    if (!content || !content.length) {
+        throw 'empty content';
+    }
+    let json = useRestApi ? JSON.parse(content.toString()) : getMobileSectionsFromParsoid(content, articleId);
+    if (!json || !json['lead'] || !json['lead']['sections'] || !json['remaining']) {
+        throw 'no lead section';
+    }
+    return json;
+}
+
+/* Failures are given as {url, article, error}, the HTTP status and
+ * error of the download are added if there was one */
+function recordFailure( failure ) {
+    let downloadError = downloadErrors[failure.url] || {};
+    let item = {
+        url: failure.url,
+        article: failure.article,
+        status: downloadError.status,
+        error: ( failure.error || downloadError.error || '' ).toString(),
+        date: new Date().toISOString()
+    };
+    failedItems.push(item);
+    printErr('Unable to retrieve ' + ( item.article ? 'article ' + item.article : 'media' ) + ' from ' + item.url + ' (' + item.error + ')');
+
+    if (maxFailures !== undefined && failedItems.length > maxFailures) {
+        printErr('More than ' + maxFailures + ' item(s) could not be retrieved, see ' + computeFailedItemsPath() + ', stopping.');
+        fs.writeFileSync(computeFailedItemsPath(), formatFailedItems(failedItems));
+        exitAfterUnregisteringRun(1);
+    }
+}
+
+/* One failed items file per run, all dumps get the same articles */
+function computeFailedItemsPath() {
+    return pathParser.resolve(process.cwd(), outputDirectory, computeFilenameRadical(false, true) + '.failed.jsonl');
+}
+
+function formatFailedItems( items ) {
+    return items.map(function (item) {
+        return JSON.stringify(item) + '\n';
+    }).join('');
+}
+
+function writeFailedItems( finished ) {
+    if (!failedItems.length) {
+        finished();
+        return;
+    }
+    let failedItemsPath = computeFailedItemsPath();
+    printErr(failedItems.length + ' item(s) could not be retrieved, they are listed in ' + failedItemsPath);
+    fs.writeFile(failedItemsPath, formatFailedItems(failedItems), finished);
+}
+
+/* Download again the failed items of a previous run to the cache, and
+ * keep in the failed items file the ones still failing */
+function retryFailedItems( finished ) {
+    let items = fs.readFileSync(retryFailed).toString().split('\n').filter(function (line) {
+        return line;
+    }).map(function (line) {
+        return JSON.parse(line);
+    });
+
+    function retryItem(item, finished) {
+        if (item.article) {
+            delete downloadErrors[item.url];
+            downloadContent(item.url, function (content, responseHeaders) {
+                try {
+                    parseArticleContent(content, item.article);
+                    cacheContent(item.url, content, responseHeaders, finished);
+                } catch (error) {
+                    recordFailure({url: item.url, article: item.article, error: error});
+                    finished();
+                }
+            });
+        } else if (isTrackUrl(item.url)) {
+            downloadContentAndCache(item.url, function (content) {
+                if (!content.length) {
+                    recordFailure({url: item.url, error: 'Unable to download ' + decodeURI(item.url)});
+                }
+                finished();
+            });
+        } else {
+            let media = getMediaCacheInfo(item.url);
+            downloadFile(item.url, media.cachePath, true, function (error) {
+                if (error) {
+                    recordFailure({url: item.url, error: error});
+                    finished();
+                } else {
+                    fs.writeFile(media.cachePath + '.h', JSON.stringify({width: media.width}), finished);
+                }
+            });
         }
     }
 
-    function transformLeadProperties(json) {
+    printLog('Retrying ' + items.length + ' failed item(s) of ' + retryFailed + '...');
+    async.eachLimit(items, speed, retryItem, function (error) {
+        drainOptimizationQueue(function () {
+            printLog(( items.length - failedItems.length ) + ' item(s) retrieved, ' + failedItems.length + ' still failing');
+            if (failedItems.length) {
+                fs.writeFileSync(retryFailed, formatFailedItems(failedItems));
+            } else {
+                fs.unlinkSync(retryFailed);
+            }
+
+            /* Nothing to dump */
+            finished(true);
+        });
+    });
+}
+
+function saveArticles( finished ) {
+
+    /* The URLs of the media to download are added to the media array */
+    function transformSections(json, media, finished) {
+
+        // rewrite and download lead image URLs
+        transformLeadProperties(json['lead'], media);
+
+        let sections = [json['lead']['sections'][0]].concat(json['remaining']['sections']);
+        async.eachSeries(sections, function (section, finished) {
+            transformSection(domino.createDocument(section['text']), media, function (error, html) {
+                section['text'] = html;
+                finished(error);
+            });
+        }, finished);
+    }
+
+    function transformLeadProperties(json, media) {
         if (!json) {
             return;
         }
         if (json['image']) {
+            filterLeadImageUrls(json['image']['urls'] || {});
             for (let url in json['image']['urls']) {
                 let src = getFullUrl(json['image']['urls'][url]);
                 let newSrc = getMediaUrl(src);
                 if (newSrc) {
-                    downloadFileQueue.push(src);
+                    media.push(src);
                     json['image']['urls'][url] = newSrc;
                 }
             }
         }
-        if (json['pronunciation']) {
+        if (json['pronunciation'] && noaudio) {
+            delete json['pronunciation'];
+        } else if (json['pronunciation']) {
             let src = getFullUrl(json['pronunciation']['url']);
             let newSrc = getMediaUrl(src);
             if (newSrc) {
-                downloadFileQueue.push(src);
+                media.push(src);
                 json['pronunciation']['url'] = newSrc;
             }
         }
     }
 
-    function transformSection(dom) {
-        treatMediaElementsForSection(dom);
-        rewriteUrls(dom);
-        applyOtherTreatments(dom);
+    function transformSection(dom, media, finished) {
+        treatMathElements(dom, function () {
+            treatMediaElementsForSection(dom, media);
+            rewriteUrls(dom, function (error) {
+                applyOtherTreatments(dom);
+                finished(error, dom.body.innerHTML);
+            });
+        });
+    }
+
+    /* Math formulas have a hidden MathML version and a fallback image of
+     * the SVG rendering. Depending on mathMode, the MathML is shown, the
+     * SVG is inlined or the image is the PNG rendering; if the MathML or
+     * the SVG is not available, the image is kept */
+    function treatMathElements(dom, finished) {
+        let fallbackNodes = Array.prototype.slice.call(dom.getElementsByTagName('img')).filter(function (img) {
+            return /mwe-math-fallback-image-/.test(img.getAttribute('class') || '');
+        });
+
+        async.eachLimit(fallbackNodes, speed, function (img, finished) {
+            let mathNode = img.parentNode;
+            let mathmlNode = Array.prototype.slice.call(mathNode.childNodes).filter(function (node) {
+                return node.nodeType == 1 && /mwe-math-mathml-/.test(node.getAttribute('class') || '');
+            })[0];
+            let src = getFullUrl(img.getAttribute('src') || '');
+
+            if (mathMode == 'mathml' && mathmlNode && mathmlNode.getElementsByTagName('math').length) {
+                mathmlNode.setAttribute('class', mathmlNode.getAttribute('class').replace(/\s*mwe-math-mathml-a11y/, ''));
+                mathmlNode.removeAttribute('style');
+                util.deleteNode(img);
+                finished();
+                return;
+            }
+
+            if (mathmlNode) {
+                util.deleteNode(mathmlNode);
+            }
 
-        return dom.body.innerHTML;
+            if (mathMode == 'png') {
+                img.setAttribute('src', src.replace('/render/svg/', '/render/png/'));
+                finished();
+            } else if (mathRenderRegex.test(src)) {
+                downloadContentAndCache(src.replace('/render/png/', '/render/svg/'), function (content) {
+                    let svg = content.toString().replace(/^\s*<\?xml[^>]*>/, '').replace(/^\s*<!DOCTYPE[^>]*>/i, '');
+                    let containerNode = dom.createElement('span');
+                    containerNode.innerHTML = svg;
+                    let svgNode = containerNode.getElementsByTagName('svg')[0];
+                    if (svgNode) {
+                        svgNode.setAttribute('class', img.getAttribute('class'));
+                        svgNode.setAttribute('role', 'img');
+                        if (img.getAttribute('style')) {
+                            svgNode.setAttribute('style', img.getAttribute('style'));
+                        }
+                        if (img.getAttribute('alt')) {
+                            svgNode.setAttribute('aria-label', img.getAttribute('alt'));
+                        }
+                        mathNode.replaceChild(svgNode, img);
+                    } else {
+                        printLog('Unable to inline the math formula ' + src + ', the image is kept');
+                    }
+                    finished();
+                });
+            } else {
+                finished();
+            }
+        }, finished);
     }
 
-    function treatMediaElementsForSection(dom) {
+    function treatMediaElementsForSection(dom, media) {
+        treatVideoAndAudioElements(dom, media);
+
         /* Clean/rewrite image tags */
         const imgs = dom.getElementsByTagName('img');
         let imgSrcCache = {};
@@ -997,36 +2222,222 @@ function saveArticles( finished ) {
 
                 /* Rewrite image src attribute */
                 if (img) {
-                    let src = getFullUrl(img.getAttribute('src'));
+                    let src = selectImageUrl(img);
                     let newSrc = getMediaUrl(src);
 
                     if (newSrc) {
 
-                        /* Download image, but avoid duplicate calls */
-                        if (!imgSrcCache.hasOwnProperty(src)) {
-                            imgSrcCache[src] = true;
-                            downloadFileQueue.push(src);
-                        }
+                        /* Download image, but avoid duplicate calls */
+                        if (!imgSrcCache.hasOwnProperty(src)) {
+                            imgSrcCache[src] = true;
+                            media.push(src);
+                        }
+
+                        /* Change image source attribute to point to the local image */
+                        img.setAttribute('src', newSrc);
+
+                        /* Remove useless 'resource' attribute */
+                        img.removeAttribute('resource');
+
+                        /* Remove srcset */
+                        img.removeAttribute('srcset');
+                    } else {
+                        util.deleteNode(img);
+                    }
+                }
+            } else {
+                util.deleteNode(img);
+            }
+        }
+    }
+
+    /* Video and audio elements: only one source is kept, downloaded,
+     * with the poster and the subtitles in the language of the wiki */
+    function treatVideoAndAudioElements(dom, media) {
+        let mediaNodes = Array.prototype.slice.call(dom.getElementsByTagName('video')).concat(
+            Array.prototype.slice.call(dom.getElementsByTagName('audio')));
+
+        mediaNodes.map(function (mediaNode) {
+            let isVideo = mediaNode.tagName == 'VIDEO';
+            let duration = parseFloat(mediaNode.getAttribute('data-durationhint') ||
+                mediaNode.getAttribute('data-durationtime')) || undefined;
+            let source = ( isVideo ? !novid : !noaudio ) && ( !mediaMaxDuration || !duration || duration <= mediaMaxDuration ) ?
+                selectMediaSource(mediaNode, isVideo, duration) : undefined;
+            let src = source && getFullUrl(source.url);
+            let newSrc = src && getMediaUrl(src);
+
+            if (!newSrc) {
+                deleteMediaNode(mediaNode);
+                return;
+            }
+
+            media.push(src);
+            Array.prototype.slice.call(mediaNode.getElementsByTagName('source')).map(function (sourceNode) {
+                if (sourceNode != source.node) {
+                    util.deleteNode(sourceNode);
+                }
+            });
+            let sourceNode = source.node || mediaNode;
+            sourceNode.setAttribute('src', newSrc);
+            if (source.node) {
+                mediaNode.removeAttribute('src');
+
+                /* Transcoded */
+                let localPath = decodeURIComponent(newSrc);
+                if (pathParser.extname(localPath) != pathParser.extname(urlParser.parse(src).pathname || '')) {
+                    sourceNode.setAttribute('type', zimwriter.getMimeType(localPath));
+                }
+            }
+            mediaNode.removeAttribute('resource');
+
+            /* Poster */
+            let poster = mediaNode.getAttribute('poster');
+            let newPoster = poster && !nopic ? getMediaUrl(getFullUrl(poster)) : undefined;
+            if (newPoster) {
+                media.push(getFullUrl(poster));
+                mediaNode.setAttribute('poster', newPoster);
+            } else {
+                mediaNode.removeAttribute('poster');
+            }
+
+            /* Subtitles */
+            Array.prototype.slice.call(mediaNode.getElementsByTagName('track')).map(function (trackNode) {
+                let trackSrc = trackNode.getAttribute('src');
+                if (trackSrc && trackNode.getAttribute('srclang') == langIso2) {
+                    media.push(getFullUrl(trackSrc));
+                    trackNode.setAttribute('src', getTrackBase(getFullUrl(trackSrc), true));
+                } else {
+                    util.deleteNode(trackNode);
+                }
+            });
+        });
+    }
+
+    /* Source to download: for videos the WebM one with the lowest
+     * resolution from 360p, for sounds preferably Ogg, both within the
+     * --mediaMaxSize limit (estimated from the bitrate) */
+    function selectMediaSource(mediaNode, isVideo, duration) {
+        let candidates = Array.prototype.slice.call(mediaNode.getElementsByTagName('source')).map(function (sourceNode) {
+            let bandwidth = parseInt(sourceNode.getAttribute('data-bandwidth'));
+            return {
+                node: sourceNode,
+                url: sourceNode.getAttribute('src'),
+                type: sourceNode.getAttribute('type') || '',
+                height: parseInt(sourceNode.getAttribute('data-height')) || 0,
+                size: duration && bandwidth ? duration * bandwidth / 8 : undefined
+            };
+        });
+        if (mediaNode.getAttribute('src')) {
+            candidates.unshift({url: mediaNode.getAttribute('src'), type: '', height: 0});
+        }
+        candidates = candidates.filter(function (candidate) {
+            return candidate.url && ( !mediaMaxSize || !candidate.size || candidate.size <= mediaMaxSize * 1024 * 1024 );
+        });
+
+        let preferredRegex = isVideo ? /webm/i : /ogg|opus|webm/i;
+        let preferred = candidates.filter(function (candidate) {
+            return preferredRegex.test(candidate.type || candidate.url);
+        });
+        if (isVideo) {
+            preferred.sort(function (a, b) {
+                return a.height - b.height;
+            });
+            return preferred.filter(function (candidate) {
+                return candidate.height >= 360;
+            })[0] || preferred[preferred.length - 1] || candidates[0];
+        }
+        return preferred[0] || candidates[0];
+    }
+
+    /* With its Parsoid figure, if any */
+    function deleteMediaNode(mediaNode) {
+        let node = mediaNode;
+        for (let parentNode = mediaNode.parentNode; parentNode && parentNode.getAttribute; parentNode = parentNode.parentNode) {
+            if (/\bmw:(Video|Audio|File)/.test(parentNode.getAttribute('typeof') || '')) {
+                node = parentNode;
+                break;
+            }
+        }
+        util.deleteNode(node);
+    }
 
-                        /* Change image source attribute to point to the local image */
-                        img.setAttribute('src', newSrc);
+    /* Thumbnail (from the src and srcset attributes) at the width
+     * given by --imageMaxWidth and --imageMinWidth. The size of the
+     * image in the page is kept, except if the thumbnail is smaller */
+    function selectImageUrl(img) {
+        let src = getFullUrl(img.getAttribute('src'));
+        if (!imageMaxWidth && !imageMinWidth) {
+            return src;
+        }
 
-                        /* Remove useless 'resource' attribute */
-                        img.removeAttribute('resource');
+        let fileWidth = parseInt(img.getAttribute('data-file-width')) || undefined;
+        let isVector = img.getAttribute('data-file-type') == 'drawing';
+        let candidates = [src].concat((img.getAttribute('srcset') || '').split(',').map(function (candidate) {
+            return candidate.trim().split(/\s+/)[0];
+        }).filter(function (url) {
+            return url;
+        }).map(getFullUrl)).map(function (url) {
+            return {url: url, width: getThumbnailWidth(url) || fileWidth || INFINITY_WIDTH};
+        }).sort(function (a, b) {
+            return a.width - b.width;
+        });
 
-                        /* Remove srcset */
-                        img.removeAttribute('srcset');
-                    } else {
-                        util.deleteNode(img);
-                    }
-                }
-            } else {
-                util.deleteNode(img);
+        let chosen = candidates.filter(function (candidate) {
+            return candidate.url == src;
+        })[0];
+        if (imageMaxWidth) {
+            chosen = candidates.filter(function (candidate) {
+                return candidate.width <= imageMaxWidth;
+            }).pop() || candidates[0];
+        }
+        if (imageMinWidth && chosen.width < imageMinWidth) {
+            chosen = candidates.filter(function (candidate) {
+                return candidate.width >= imageMinWidth && ( !imageMaxWidth || candidate.width <= imageMaxWidth );
+            })[0] || chosen;
+        }
+        let width = chosen.width;
+        if (imageMaxWidth && width > imageMaxWidth) {
+            width = imageMaxWidth;
+        } else if (imageMinWidth && width < imageMinWidth) {
+            width = imageMinWidth;
+        }
+        let url = width == chosen.width ? chosen.url : resizeThumbnailUrl(chosen.url, width, isVector ? undefined : fileWidth);
+
+        let imageWidth = getThumbnailWidth(url) || fileWidth;
+        let displayWidth = parseInt(img.getAttribute('width'));
+        let displayHeight = parseInt(img.getAttribute('height'));
+        if (imageWidth && displayWidth > imageWidth) {
+            img.setAttribute('width', imageWidth);
+            if (displayHeight) {
+                img.setAttribute('height', Math.round(displayHeight * imageWidth / displayWidth));
             }
         }
+
+        return url;
+    }
+
+    /* The lead image URLs are keyed by width, only the ones allowed by
+     * --imageMaxWidth and --imageMinWidth are kept (at least one) */
+    function filterLeadImageUrls(urls) {
+        let widths = Object.keys(urls).map(function (width) {
+            return parseInt(width);
+        }).sort(function (a, b) {
+            return a - b;
+        });
+        let keptWidths = widths.filter(function (width) {
+            return ( !imageMaxWidth || width <= imageMaxWidth ) && ( !imageMinWidth || width >= imageMinWidth );
+        });
+        if (!keptWidths.length && widths.length) {
+            keptWidths = [imageMaxWidth && widths[0] > imageMaxWidth ? widths[0] : widths[widths.length - 1]];
+        }
+        Object.keys(urls).map(function (width) {
+            if (keptWidths.indexOf(parseInt(width)) < 0) {
+                delete urls[width];
+            }
+        });
     }
 
-    function rewriteUrls(dom) {
+    function rewriteUrls(dom, finished) {
 
         function rewriteUrl(linkNode) {
             let href = linkNode.getAttribute('href');
@@ -1091,37 +2502,83 @@ function saveArticles( finished ) {
                 linkNode.setAttribute('href', href);
             }
 
-            /*
-            let targetId = extractTargetIdFromHref(href);
-            if (targetId) {
-                if (isMirrored(targetId)) {
-                    //linkNode.setAttribute('href', getArticleUrl(targetId));
-                } else {
-                    redisClient.hexists(redisRedirectsDatabase, targetId, function (error, res) {
-                        if (error) {
-                            printErr('Unable to check redirect existence with redis: ' + error);
-                            process.exit(1);
-                        } else {
-                            if (res) {
-                                //linkNode.setAttribute('href', getArticleUrl(targetId));
-                            } else {
-                                linkNode.setAttribute('href', 'foo');
-                            }
-                        }
-                    });
+            return href;
+        }
+
+        /* Links to not mirrored articles are unwrapped (or marked) */
+        function removeLink(linkNode) {
+            if (linkNode.tagName === 'AREA') {
+                linkNode.removeAttribute('href');
+            } else if (markMissingLinks) {
+                linkNode.removeAttribute('href');
+                linkNode.setAttribute('class', util.concatenateToAttribute(linkNode.getAttribute('class'), 'offline-missing'));
+            } else if (linkNode.parentNode) {
+                while (linkNode.firstChild) {
+                    linkNode.parentNode.insertBefore(linkNode.firstChild, linkNode);
                 }
+                util.deleteNode(linkNode);
             }
-            */
         }
 
         /* Go through all links */
         let as = dom.getElementsByTagName('a');
         let areas = dom.getElementsByTagName('area');
         let linkNodes = Array.prototype.slice.call(as).concat(Array.prototype.slice.call(areas));
+        let internalLinks = [];
 
         for (let i = 0; i < linkNodes.length; i++) {
-            rewriteUrl(linkNodes[i]);
+            let href = rewriteUrl(linkNodes[i]);
+            let targetId = href && isInternalHref(href) ? extractTargetIdFromHref(href) : undefined;
+            if (targetId) {
+                internalLinks.push({
+                    node: linkNodes[i],
+                    targetId: targetId.replace(/ /g, '_'),
+                    hash: urlParser.parse(href).hash || ''
+                });
+            }
         }
+
+        /* Resolve the links to not mirrored articles against the redirects */
+        let unknownIds = [];
+        internalLinks.map(function (link) {
+            if (!isMirrored(link.targetId) && unknownIds.indexOf(link.targetId) < 0) {
+                unknownIds.push(link.targetId);
+            }
+        });
+
+        async.waterfall(
+            [
+                function (finished) {
+                    unknownIds.length ? kvStore.hmget(kvRedirectsDatabase, unknownIds, finished) : finished(null, []);
+                },
+                function (targets, finished) {
+                    let redirects = {};
+                    unknownIds.map(function (id, i) {
+                        if (targets[i]) {
+                            redirects[id] = targets[i];
+                        }
+                    });
+
+                    internalLinks.map(function (link) {
+                        if (isMirrored(link.targetId)) {
+                            link.node.setAttribute('href', getArticleUrl(link.targetId) + link.hash);
+                        } else if (redirects[link.targetId] && isMirrored(redirects[link.targetId])) {
+                            link.node.setAttribute('href', getArticleUrl(redirects[link.targetId]) + link.hash);
+                        } else {
+                            removeLink(link.node);
+                        }
+                    });
+                    finished();
+                }
+            ],
+            function (error) {
+                if (error) {
+                    printErr('Unable to check redirect existence with the key-value store: ' + error);
+                    exitAfterUnregisteringRun(1);
+                } else {
+                    finished();
+                }
+            });
     }
 
     function applyOtherTreatments(dom) {
@@ -1133,100 +2590,251 @@ function saveArticles( finished ) {
             }
         }
 
-        // Remove elements with id in the blacklist
-        idBlackList.map(function (id) {
-            let node = dom.getElementById(id);
-            if (node) {
-                util.deleteNode(node);
-            }
-        });
+        // Remove, keep, unwrap... elements following the cleanup rules
+        cleanuprules.applyCleanupRules(dom, cleanupRules);
+    }
 
-        // Remove elements with blacklisted CSS classes
-        cssClassBlackList.map(function (classname) {
-            let nodes = dom.getElementsByClassName(classname);
-            for (let i = 0; i < nodes.length; i++) {
-                util.deleteNode(nodes[i]);
-            }
-        });
+    function renderNearbyArticles(articleId, coordinates) {
+        let nearby = geoIndex ? geoIndex.getNearby(coordinates.lat, coordinates.lon, nearbyArticleCount, articleId) : [];
+        let html = '<p><a class="geo" href="geo:' + coordinates.lat + ',' + coordinates.lon + '">' +
+            coordinates.lat + ', ' + coordinates.lon + '</a></p>';
+        if (nearby.length) {
+            html += '<h2 class="section-heading">' + util.escapeHtml(nearbyArticlesLabel) + '</h2>';
+            html += '<ul>' + nearby.map(function (article) {
+                return '<li><a href="' + util.escapeHtml(getArticleBase(article.id, true)) + '">' + util.escapeHtml(article.id.replace(/_/g, ' ')) + '</a>' +
+                    ' <span class="nearby-distance">' + formatDistance(article.distance) + '</span></li>';
+            }).join('') + '</ul>';
+        }
+        return html;
+    }
 
-        // Remove elements with blacklisted CSS classes and no link
-        cssClassBlackListIfNoLink.map(function (classname) {
-            let nodes = dom.getElementsByClassName(classname);
-            for (let i = 0; i < nodes.length; i++) {
-                if (nodes[i].getElementsByTagName('a').length === 0) {
-                    util.deleteNode(nodes[i]);
-                }
+    function renderFooter(articleId, articleDetails) {
+        let date = articleDetails['t'] ? new Date(articleDetails['t'] * 1000).toISOString().substring(0, 10) : '';
+        let values = {
+            'webUrl': webUrl,
+            'articleId': encodeURIComponent(articleId),
+            'oldId': articleIds[articleId],
+            'creator': creator,
+            'date': date,
+            'licenseName': licenseName,
+            'licenseUrl': licenseUrl
+        };
+
+        return footerTemplateCode
+            .replace(/\{% if (\w+) %\}(.*?)\{% endif %\}/g, function (match, key, content) {
+                return values[key] ? content : '';
+            })
+            .replace(/\{\{ (\w+) \}\}/g, function (match, key) {
+                return util.escapeHtml(values[key]);
+            });
+    }
+
+    /* Sections are collapsible, except if flat (for the main page) */
+    function renderArticle(json, articleId, articleDetails, flat) {
+        let lead = json['lead'];
+        let doc = domino.createDocument(htmlTemplateCode);
+        let displayTitle = lead['displaytitle'] || articleId.replace(/_/g, ' ');
+
+        /* Text direction */
+        doc.documentElement.setAttribute('lang', langIso2);
+        doc.documentElement.setAttribute('dir', ltr ? 'ltr' : 'rtl');
+
+        /* Title */
+        doc.getElementsByTagName('title')[0].textContent = domino.createDocument(displayTitle).body.textContent;
+        doc.getElementById('titleHeading').innerHTML = displayTitle;
+
+        let contentNode = doc.getElementById('mw-content-text');
+        contentNode.setAttribute('dir', ltr ? 'ltr' : 'rtl');
+        contentNode.setAttribute('style', 'text-align: ' + autoAlign + ';');
+
+        /* Lead image, all the URLs point to the same local file */
+        let leadImageUrls = lead['image'] && lead['image']['urls'];
+        if (leadImageUrls && Object.keys(leadImageUrls).length) {
+            let leadImageNode = doc.createElement('div');
+            leadImageNode.setAttribute('class', 'lead-image');
+            let imgNode = doc.createElement('img');
+            imgNode.setAttribute('src', leadImageUrls[Object.keys(leadImageUrls).pop()]);
+            imgNode.setAttribute('alt', '');
+            leadImageNode.appendChild(imgNode);
+            contentNode.appendChild(leadImageNode);
+        }
+
+        /* Lead section */
+        let leadSectionNode = doc.createElement('div');
+        leadSectionNode.setAttribute('id', 'content-block-0');
+        leadSectionNode.innerHTML = lead['sections'][0]['text'];
+        contentNode.appendChild(leadSectionNode);
+
+        /* Remaining sections, top level ones are collapsible and
+         * contain their sub-sections */
+        let blockNode;
+        json['remaining']['sections'].map(function (section) {
+            let level = Math.min(( section['toclevel'] || 1 ) + 1, 6);
+            let headingNode = doc.createElement('h' + level);
+            headingNode.innerHTML = section['line'] || '';
+            if (section['anchor']) {
+                headingNode.setAttribute('id', section['anchor']);
             }
-        });
 
-        // Force display of elements with certain CSS classes
-        cssClassDisplayList.map(function (classname) {
-            let nodes = dom.getElementsByClassName(classname);
-            for (let i = 0; i < nodes.length; i++) {
-                nodes[i].style.removeProperty('display');
+            if (flat) {
+                headingNode.setAttribute('class', 'section-heading');
+                contentNode.appendChild(headingNode);
+                blockNode = contentNode;
+            } else if (level == 2 || !blockNode) {
+                headingNode.setAttribute('class', 'section-heading collapsible-heading');
+                headingNode.setAttribute('data-section', section['id']);
+                contentNode.appendChild(headingNode);
+
+                blockNode = doc.createElement('div');
+                blockNode.setAttribute('class', 'collapsible-block');
+                blockNode.setAttribute('id', 'content-collapsible-block-' + section['id']);
+                contentNode.appendChild(blockNode);
+            } else {
+                blockNode.appendChild(headingNode);
             }
+
+            let sectionNode = doc.createElement('div');
+            sectionNode.innerHTML = section['text'];
+            blockNode.appendChild(sectionNode);
         });
-    }
 
-    function writeArticle(json, articleId, finished) {
-        printLog('Saving article ' + articleId + '...');
+        /* Position and nearby articles */
+        let coordinates = geoindex.parseCoordinates(articleDetails['g']);
+        if (coordinates) {
+            let nearbyNode = doc.createElement('div');
+            nearbyNode.setAttribute('class', 'nearby-articles');
+            nearbyNode.innerHTML = renderNearbyArticles(articleId, coordinates);
+            contentNode.appendChild(nearbyNode);
+        }
 
-        if (deflateTmpHtml) {
-            zlib.deflate(JSON.stringify(json), function (error, deflatedContent) {
-                fs.writeFile(getArticlePath(articleId), deflatedContent, finished);
+        /* License and attribution */
+        let footerNode = doc.createElement('div');
+        footerNode.innerHTML = renderFooter(articleId, articleDetails);
+        contentNode.appendChild(footerNode.firstChild);
+
+        let html = '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+        if (minifyHtml) {
+            html = htmlMinifier.minify(html, {
+                removeComments: true,
+                conservativeCollapse: true,
+                collapseBooleanAttributes: true,
+                removeRedundantAttributes: true,
+                removeEmptyAttributes: true,
+                minifyCSS: true
             });
-        } else {
-            fs.writeFile(getArticlePath(articleId), JSON.stringify(json), finished);
         }
+
+        return html;
     }
 
-    function saveArticle(articleId, finished) {
+    function writeArticle(json, articleId, finished) {
+        printLog('Saving article ' + articleId + '...');
+
+        async.series(
+            [
+                function (finished) {
+                    if (!withHtmlOutput()) {
+                        finished();
+                        return;
+                    }
 
+                    kvStore.hget(kvArticleDetailsDatabase, articleId, function (error, details) {
+                        if (error) {
+                            finished('Unable to get article details from the key-value store: ' + error);
+                            return;
+                        }
 
-        //let articleUrl = parsoidUrl + encodeURIComponent(articleId) + ( parsoidUrl.indexOf('/rest') < 0 ? (parsoidUrl.indexOf('?') < 0 ? '?' : '&' ) + 'oldid=' : '/' ) + articleIds[articleId];
+                        let articleDetails = details ? JSON.parse(details) : {};
+                        let html = renderArticle(json, articleId, articleDetails);
+                        writeDumpFile(getArticleBase(articleId), html, articleId.replace(/_/g, ' '), function (error) {
+                            if (error || articleId != mainPageId) {
+                                finished(error);
+                                return;
+                            }
 
-        let articleUrl = "https://en.wikipedia.org/api/rest_v1/page/mobile-sections/" + encodeURIComponent(articleId);
+                            /* The welcome page shows the main page as it is, with all its blocks */
+                            printLog('Writing main page from article ' + articleId + '...');
+                            writeDumpFile('index.htm', renderArticle(json, articleId, articleDetails, true), name, finished);
+                        });
+                    });
+                },
+                function (finished) {
+                    if (withJsonOutput()) {
+                        writeDumpFile(jsonDirectory + '/' + getArticleBase(articleId, false, '.json'), JSON.stringify(json), articleId.replace(/_/g, ' '), finished);
+                    } else {
+                        finished();
+                    }
+                }
+            ],
+            finished);
+    }
 
+    /* Articles were downloaded by fetchArticles(), but might have been
+     * removed from the cache meanwhile */
+    /* Article as parsed by fetchArticles() */
+    function readParsedArticle(articleId, callback) {
+        fs.readFile(getParsedArticlePath(articleId), function (error, data) {
+            if (error) {
+                printErr('Unable to read the parsed article ' + articleId + ': ' + error);
+                exitAfterUnregisteringRun(1);
+                return;
+            }
+            callback(JSON.parse(data.toString()));
+        });
+    }
 
-        console.log(">>>>>>> Saving \"" + articleUrl + "\"");
+    /* The article is journaled as done once its media are downloaded too */
+    function downloadArticleMedia(articleId, media) {
+        async.each(media, function (src, finished) {
+            downloadFileQueue.push(src, function () {
+                finished();
+            });
+        }, function () {
+            checkpoint('a', articleId);
+        });
+    }
 
+    function saveArticle(articleId, finished) {
+        if (checkpointedArticles[articleId]) {
+            printLog('Article ' + articleId + ' already dumped before the interruption');
+            finished();
+            return;
+        }
 
-        printLog('Getting article from ' + articleUrl);
-        setTimeout(skipHtmlCache || articleId == mainPageId ? downloadContent : downloadContentAndCache,
+        setTimeout(readParsedArticle,
             downloadFileQueue.length() + optimizationQueue.length(),
-            articleUrl,
-            function (content, responseHeaders, articleId) {
+            articleId,
+            function (json) {
+                let articlePath = getArticlePath(articleId);
 
-                let json = JSON.parse(content.toString());
+                printLog('Treating and saving article ' + articleId + ' at ' + articlePath + '...');
 
-                if (!json['lead']) {
-                    printErr('Error retrieving article: ' + articleId);
+                /* Record the revision the article was retrieved at */
+                if (json['lead'] && articleIds[articleId]) {
+                    json['lead']['revision'] = articleIds[articleId].toString();
                 }
 
-                if (json) {
-                    let articlePath = getArticlePath(articleId);
-
-                    printLog('Treating and saving article ' + articleId + ' at ' + articlePath + '...');
-
-                    transformSections(json);
-
-                    writeArticle(json, articleId, function (error, result) {
+                let media = [];
+                async.series(
+                    [
+                        function (finished) {
+                            transformSections(json, media, finished);
+                        },
+                        function (finished) {
+                            writeArticle(json, articleId, finished);
+                        }
+                    ],
+                    function (error, result) {
                         if (error) {
                             printErr('Error preparing and saving file ' + error);
-                            process.exit(1);
+                            exitAfterUnregisteringRun(1);
                         } else {
                             printLog('Dumped successfully article ' + articleId);
+                            downloadArticleMedia(articleId, media);
                             finished();
                         }
                     });
-
-                } else {
-                    printErr('Error retrieving article: ' + articleId);
-
-                    delete articleIds[articleId];
-                    finished();
-                }
-            }, articleId);
+            });
     }
 
     printLog('Saving articles...');
@@ -1236,7 +2844,7 @@ function saveArticles( finished ) {
         function (error) {
             if (error) {
                 printErr('Unable to retrieve an article correctly: ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 printLog('All articles were retrieved and saved.');
                 finished();
@@ -1282,10 +2890,10 @@ let redirectQueue = async.queue( function( articleId, finished ) {
                     });
                     printLog(redirectsCount + ' redirect(s) found for ' + articleId);
                     if (redirectsCount) {
-                        redisClient.hmset(redisRedirectsDatabase, redirects, function (error) {
+                        kvStore.hmset(kvRedirectsDatabase, redirects, function (error) {
                             if (error) {
                                 printErr('Unable to set redirects: ' + error);
-                                process.exit(1);
+                                exitAfterUnregisteringRun(1);
                             } else {
                                 finished();
                             }
@@ -1311,7 +2919,7 @@ function getArticleIds( finished ) {
         redirectQueue.drain = function (error) {
             if (error) {
                 printErr('Unable to retrieve redirects for an article: ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 printLog('All redirect ids retrieve successfully.');
                 finished();
@@ -1360,7 +2968,7 @@ function getArticleIds( finished ) {
                     } else {
                         printErr('Unable to get revisions for ' + entry['title']);
                         printErr('JSON was ' + body);
-                        process.exit(1);
+                        exitAfterUnregisteringRun(1);
                     }
                 }
             });
@@ -1368,10 +2976,10 @@ function getArticleIds( finished ) {
             if (redirectQueueValues.length)
                 redirectQueue.push(redirectQueueValues);
             if (Object.keys(details).length) {
-                redisClient.hmset(redisArticleDetailsDatabase, details, function (error) {
+                kvStore.hmset(kvArticleDetailsDatabase, details, function (error) {
                     if (error) {
-                        printErr('Unable to save article detail information to redis: ' + error);
-                        process.exit(1);
+                        printErr('Unable to save article detail information to the key-value store: ' + error);
+                        exitAfterUnregisteringRun(1);
                     }
                 });
             }
@@ -1414,7 +3022,7 @@ function getArticleIds( finished ) {
             async.eachLimit(lines, speed, getArticleIdsForLine, function (error) {
                 if (error) {
                     printErr('Unable to get all article ids for a file: ' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     printLog('List of article ids to mirror completed');
                     drainRedirectQueue(finished);
@@ -1422,7 +3030,7 @@ function getArticleIds( finished ) {
             });
         } catch (error) {
             printErr('Unable to open article list file: ' + error);
-            process.exit(1);
+            exitAfterUnregisteringRun(1);
         }
     }
 
@@ -1451,7 +3059,7 @@ function getArticleIds( finished ) {
             function (error) {
                 if (error) {
                     printErr('Unable to download article ids: ' + error);
-                    process.exit(1);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     printLog('List of article ids to mirror completed for namespace "' + namespace + '"');
                     finished();
@@ -1460,11 +3068,154 @@ function getArticleIds( finished ) {
         );
     }
 
+    /* Titles created, modified, moved or deleted since the given date */
+    function getRecentChanges(start, finished) {
+        let changes = {};
+        let next = '';
+        let namespaceFilter = articleList ? '' : '&rcnamespace=' + namespacesToMirror.map(function (namespace) {
+            return namespaces[namespace].number;
+        }).join('|');
+
+        async.doWhilst(
+            function (finished) {
+                printLog('Getting recent changes since ' + start.toISOString() + ( next != '' ? ' (from ' + next.split('=')[1] + ')' : '' ) + '...');
+                let url = apiUrl + 'action=query&list=recentchanges&rcdir=newer&rctype=edit|new|log&rcprop=title|loginfo&rclimit=max&rcstart=' +
+                    encodeURIComponent(start.toISOString()) + namespaceFilter + '&format=json' + '&rawcontinue=' + next;
+                downloadContent(url, function (content) {
+                    next = '';
+                    try {
+                        let json = JSON.parse(content.toString());
+                        if (json['error']) {
+                            finished(json['error']['info']);
+                            return;
+                        }
+
+                        json['query']['recentchanges'].map(function (entry) {
+                            changes[entry['title'].replace(/ /g, '_')] = true;
+
+                            /* Target of a move, recent and old Mediawiki versions */
+                            let target = ( entry['logparams'] && entry['logparams']['target_title'] ) || ( entry['move'] && entry['move']['new_title'] );
+                            if (target) {
+                                changes[target.replace(/ /g, '_')] = true;
+                            }
+                        });
+
+                        let continueHash = json['query-continue'] && json['query-continue']['recentchanges'];
+                        if (continueHash) {
+                            for (let key in continueHash) {
+                                next += '&' + key + '=' + encodeURIComponent(continueHash[key]);
+                            }
+                        }
+                        finished();
+                    } catch (error) {
+                        finished(error);
+                    }
+                });
+            },
+            function () {
+                return next
+            },
+            function (error) {
+                if (error) {
+                    printErr('Unable to get recent changes: ' + error);
+                    exitAfterUnregisteringRun(1);
+                } else {
+                    finished(changes);
+                }
+            }
+        );
+    }
+
+    /* Get ids from the manifest of a previous dump, only what changed
+     * since is retrieved again; unchanged articles then hit the cache
+     * as the article URLs have a revision */
+    function getArticleIdsForChanges(finished) {
+        let manifestPath = sinceManifestPath || manifestCacheFile;
+
+        function getAllArticleIds(error) {
+            printErr('Unable to use the manifest of the previous dump at ' + manifestPath + ', all articles will be retrieved (' + error + ')');
+            articleList ? getArticleIdsForFile(finished) : getArticleIdsForNamespaces(finished);
+        }
+
+        printLog('Reading manifest of the previous dump at ' + manifestPath + '...');
+        manifest.readManifest(manifestPath, function (error, previous) {
+            if (error) {
+                getAllArticleIds(error);
+                return;
+            } else if (!previous.header || previous.header.mwUrl != mwUrl) {
+                getAllArticleIds('not a manifest of ' + mwUrl);
+                return;
+            }
+
+            getRecentChanges(sinceDate || new Date(previous.header.date), function (changes) {
+                let details = {};
+                let redirects = {};
+
+                /* Only what should be part of the dump */
+                let listedIds = {};
+                if (articleList) {
+                    fs.readFileSync(articleList).toString().split('\n').map(function (line) {
+                        let id = line.replace(/ /g, '_').replace('\r', '');
+                        if (id) {
+                            listedIds[id] = true;
+                        }
+                    });
+                }
+
+                Object.keys(previous.articles).map(function (articleId) {
+                    if (!changes[articleId] && ( !articleList || listedIds[articleId] )) {
+                        articleIds[articleId] = previous.articles[articleId].revid;
+                        details[articleId] = JSON.stringify(previous.articles[articleId].details);
+                    }
+                });
+
+                /* Redirects of changed articles are retrieved again */
+                Object.keys(previous.redirects).map(function (redirectId) {
+                    let target = previous.redirects[redirectId];
+                    if (!changes[redirectId] && !changes[target] && articleIds[target] !== undefined) {
+                        redirects[redirectId] = target;
+                    }
+                });
+
+                /* With an article list, the listed titles which were not
+                 * in the previous dump are retrieved too */
+                let changedIds = articleList ? Object.keys(listedIds).filter(function (id) {
+                    return changes[id] || !previous.articles[id];
+                }) : Object.keys(changes);
+
+                printLog(Object.keys(articleIds).length + ' unchanged article(s), ' + changedIds.length + ' changed page(s) since ' +
+                    ( sinceDate || new Date(previous.header.date) ).toISOString());
+
+                async.series(
+                    [
+                        function (finished) {
+                            Object.keys(details).length ? kvStore.hmset(kvArticleDetailsDatabase, details, finished) : finished();
+                        },
+                        function (finished) {
+                            Object.keys(redirects).length ? kvStore.hmset(kvRedirectsDatabase, redirects, finished) : finished();
+                        },
+                        function (finished) {
+                            async.eachLimit(changedIds, speed, getArticleIdsForLine, finished);
+                        }
+                    ],
+                    function (error) {
+                        if (error) {
+                            printErr('Unable to get the changed article ids: ' + error);
+                            exitAfterUnregisteringRun(1);
+                        } else {
+                            printLog('List of article ids to mirror completed');
+                            drainRedirectQueue(finished);
+                        }
+                    });
+            });
+        });
+    }
+
     function getArticleIdsForNamespaces() {
         async.eachLimit(namespacesToMirror, namespacesToMirror.length, getArticleIdsForNamespace, function (error) {
             if (error) {
                 printErr('Unable to get all article ids for in a namespace: ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 printLog('All articles ids (but without redirect ids) for all namespaces were successfully retrieved.');
                 drainRedirectQueue(finished);
@@ -1479,7 +3230,9 @@ function getArticleIds( finished ) {
                 getArticleIdsForLine(mainPageId, finished)
             },
             function (finished) {
-                if (articleList) {
+                if (since) {
+                    getArticleIdsForChanges(finished);
+                } else if (articleList) {
                     getArticleIdsForFile(finished);
                 } else {
                     getArticleIdsForNamespaces(finished)
@@ -1500,7 +3253,7 @@ function getArticleIds( finished ) {
         function (error) {
             if (error) {
                 printErr('Unable retrive article ids: ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 finished();
             }
@@ -1511,28 +3264,43 @@ function getArticleIds( finished ) {
 /* Create directories for static files */
 function createSubDirectories( finished ) {
     printLog('Creating sub directories at \"' + htmlRootPath + '\"...');
+
+    /* The directories of an interrupted dump are kept */
+    let resuming = isResumingDump();
+    function mkdir(path, finished) {
+        fs.mkdir(path, undefined, function (error) {
+            finished(error && !( resuming && error.code == 'EEXIST' ) ? error : null);
+        });
+    }
+
     async.series(
         [
             function (finished) {
-                exec('rm -rf \"' + htmlRootPath + '\"', finished)
+                resuming ? finished() : exec('rm -rf \"' + htmlRootPath + '\"', finished)
+            },
+            function (finished) {
+                mkdir(htmlRootPath, finished)
             },
             function (finished) {
-                fs.mkdir(htmlRootPath, undefined, finished)
+                mkdir(htmlRootPath + styleDirectory, finished)
             },
             function (finished) {
-                fs.mkdir(htmlRootPath + styleDirectory, undefined, finished)
+                mkdir(htmlRootPath + mediaDirectory, finished)
             },
             function (finished) {
-                fs.mkdir(htmlRootPath + mediaDirectory, undefined, finished)
+                mkdir(htmlRootPath + javascriptDirectory, finished)
             },
             function (finished) {
-                fs.mkdir(htmlRootPath + javascriptDirectory, undefined, finished)
+                mkdir(htmlRootPath + geoDirectory, finished)
+            },
+            function (finished) {
+                withJsonOutput() ? mkdir(htmlRootPath + jsonDirectory, finished) : finished()
             }
         ],
         function (error) {
             if (error) {
                 printErr('Unable to create mandatory directories : ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             } else {
                 finished();
             }
@@ -1560,8 +3328,41 @@ function getFullUrl( url, baseUrl ) {
     return url;
 }
 
+function getContentCachePath( url ) {
+    return cacheDirectory + crypto.createHash('sha1').update(url).digest('hex').substr(0, 20);
+}
+
+/* Failed downloads are not cached; with --skipHtmlCache, content is
+ * always downloaded again, but still cached for this run */
 function downloadContentAndCache( url, callback, var1, var2, var3 ) {
-    let cachePath = cacheDirectory + crypto.createHash('sha1').update(url).digest('hex').substr(0, 20);
+    function download() {
+        downloadContent(url, function (content, responseHeaders) {
+            if (!content.length) {
+                callback(content, responseHeaders, var1, var2, var3);
+                return;
+            }
+            cacheContent(url, content, responseHeaders, function () {
+                callback(content, responseHeaders, var1, var2, var3);
+            });
+        });
+    }
+
+    if (skipHtmlCache) {
+        download();
+    } else {
+        readCachedContent(url, function (content, responseHeaders) {
+            if (content) {
+                callback(content, responseHeaders, var1, var2, var3);
+            } else {
+                download();
+            }
+        });
+    }
+}
+
+/* Callback gets undefined content if it is not in the cache */
+function readCachedContent( url, callback, var1, var2, var3 ) {
+    let cachePath = getContentCachePath(url);
     let cacheHeadersPath = cachePath + '.h';
 
     async.series(
@@ -1576,21 +3377,14 @@ function downloadContentAndCache( url, callback, var1, var2, var3 ) {
                     try {
                         finished(error, error ? undefined : JSON.parse(data.toString()));
                     } catch (error) {
-                        finished('Error in downloadContentAndCache() JSON parsing of ' + cacheHeadersPath + ', error is: ' + error);
+                        finished('Error in readCachedContent() JSON parsing of ' + cacheHeadersPath + ', error is: ' + error);
                     }
                 });
             }
         ],
         function (error, results) {
             if (error) {
-                downloadContent(url, function (content, responseHeaders) {
-                    printLog('Caching ' + url + ' at ' + cachePath + '...');
-                    fs.writeFile(cacheHeadersPath, JSON.stringify(responseHeaders), function () {
-                        fs.writeFile(cachePath, content, function () {
-                            callback(content, responseHeaders, var1, var2, var3);
-                        });
-                    });
-                });
+                callback(undefined, undefined, var1, var2, var3);
             } else {
                 printLog('Cache hit for ' + url + ' (' + cachePath + ')');
                 touch(cachePath, cacheHeadersPath);
@@ -1600,6 +3394,35 @@ function downloadContentAndCache( url, callback, var1, var2, var3 ) {
     );
 }
 
+function cacheContent( url, content, responseHeaders, finished ) {
+    let cachePath = getContentCachePath(url);
+    printLog('Caching ' + url + ' at ' + cachePath + '...');
+    fs.writeFile(cachePath + '.h', JSON.stringify(responseHeaders), function () {
+        fs.writeFile(cachePath, content, function () {
+            finished();
+        });
+    });
+}
+
+function uncacheContent( url ) {
+    let cachePath = getContentCachePath(url);
+    fs.unlink(cachePath, function () {
+        fs.unlink(cachePath + '.h', function () {
+        });
+    });
+}
+
+function getRequestClass( url ) {
+    if (url.indexOf(apiUrl) == 0) {
+        return 'api';
+    } else if (url.indexOf(restUrl) == 0 || url.indexOf(parsoidUrl) == 0) {
+        return 'rest';
+    } else if (urlParser.parse(url).host == webUrlHost) {
+        return 'api';
+    }
+    return 'upload';
+}
+
 function getRequestOptionsFromUrl( url, compression ) {
     let urlObj = urlParser.parse(url);
     let port = urlObj.port ? urlObj.port : ( urlObj.protocol && urlObj.protocol.substring(0, 5) == 'https' ? 443 : 80 );
@@ -1622,115 +3445,168 @@ function getRequestOptionsFromUrl( url, compression ) {
 }
 
 function downloadContent( url, callback, var1, var2, var3 ) {
+    let requestedUrl = url;
     let retryCount = 0;
+    let throttleCount = 0;
+    let lastStatus;
     let responseHeaders = {};
+    let requestClass = getRequestClass(url);
+
+    /* Ask the API to refuse the request if the database replication lag
+     * is too high, rather than making it worse */
+    if (maxlag && url.indexOf(apiUrl) == 0 && !/[?&]maxlag=/.test(url)) {
+        url += '&maxlag=' + maxlag;
+    }
 
     printLog('Downloading ' + decodeURI(url) + '...');
     async.retry(
         3,
-        function (finished) {
-            let request;
-            let calledFinished = false;
+        function attempt(finished) {
+            rateLimiter.run(requestClass, function (release) {
+                let request;
+                let calledFinished = false;
+
+                /* Only errors of the server or the network are signs of
+                 * overload, not a missing page for example */
+                let serverError = false;
+
+                function callFinished(timeout, message, data) {
+                    if (!calledFinished) {
+                        calledFinished = true;
+                        release({error: serverError});
+                        if (message) {
+                            printErr(message);
+                            if (request) {
+                                request.abort();
+                            }
+                        }
+                        request = undefined;
+                        setTimeout(finished, timeout, message, data);
+                    }
+                }
 
-            function callFinished(timeout, message, data) {
-                if (!calledFinished) {
-                    calledFinished = true;
-                    if (message) {
-                        printErr(message);
-                        request.abort();
+                /* The server asks to slow down: wait as long as it asks for,
+                 * without counting it as a failed try */
+                function callThrottled(response) {
+                    let retryAfter = ratelimiter.parseRetryAfter(response.headers['retry-after']) || 5 * ( throttleCount + 1 );
+                    if (calledFinished) {
+                        return;
+                    } else if (++throttleCount > maxThrottleRetries) {
+                        callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (throttled ' + maxThrottleRetries + ' times).');
+                        return;
                     }
+                    calledFinished = true;
+                    printErr('Throttled (' + ( response.headers['mediawiki-api-error'] || 'statusCode=' + response.statusCode ) + ') while downloading ' +
+                        decodeURI(url) + ', retry in ' + retryAfter + 's...');
+                    release({throttled: true, retryAfter: retryAfter});
+                    request.abort();
                     request = undefined;
-                    setTimeout(finished, timeout, message, data);
+                    retryCount--;
+                    attempt(finished);
                 }
-            }
 
-            retryCount++;
+                retryCount++;
 
-            /* Analyse url */
-            let options = getRequestOptionsFromUrl(url, true);
+                /* Analyse url */
+                let options = getRequestOptionsFromUrl(url, true);
 
-            /* Protocol detection */
-            let protocol;
-            if (options.protocol == 'http:') {
-                protocol = http;
-            } else if (options.protocol == 'https:') {
-                protocol = https;
-            } else {
-                printErr('Unable to determine the protocol of the following url (' + options.protocol + '), switched back to ' + ( webUrlPort == 443 ? 'https' : 'http' ) + ': ' + url);
-                if (webUrlPort == 443) {
+                /* Protocol detection */
+                let protocol;
+                if (options.protocol == 'http:') {
+                    protocol = http;
+                } else if (options.protocol == 'https:') {
                     protocol = https;
-                    url = url.replace(options.protocol, 'https:');
                 } else {
-                    protocol = http;
-                    url = url.replace(options.protocol, 'http:');
+                    printErr('Unable to determine the protocol of the following url (' + options.protocol + '), switched back to ' + ( webUrlPort == 443 ? 'https' : 'http' ) + ': ' + url);
+                    if (webUrlPort == 443) {
+                        protocol = https;
+                        url = url.replace(options.protocol, 'https:');
+                    } else {
+                        protocol = http;
+                        url = url.replace(options.protocol, 'http:');
+                    }
+                    printErr('New url is: ' + url);
                 }
-                printErr('New url is: ' + url);
-            }
 
-            /* Downloading */
-            options = getRequestOptionsFromUrl(url, true);
-            request = ( protocol ).get(options, function (response) {
-                if (response.statusCode == 200) {
-                    let chunks = [];
-                    response.on('data', function (chunk) {
-                        chunks.push(chunk);
-                    });
-                    response.on('end', function () {
-                        responseHeaders = response.headers;
-                        let encoding = responseHeaders['content-encoding'];
-                        if (encoding == 'gzip') {
-                            zlib.gunzip(Buffer.concat(chunks), function (error, decoded) {
-                                callFinished(0, error, decoded && decoded.toString());
+                /* Downloading */
+                options = getRequestOptionsFromUrl(url, true);
+                try {
+                    request = ( protocol ).get(options, function (response) {
+                        lastStatus = response.statusCode;
+                        if (response.statusCode == 429 || response.statusCode == 503 || response.headers['mediawiki-api-error'] == 'maxlag') {
+                            response.socket.emit('agentRemove');
+                            response.socket.destroy();
+                            callThrottled(response);
+                        } else if (response.statusCode == 200) {
+                            let chunks = [];
+                            response.on('data', function (chunk) {
+                                chunks.push(chunk);
+                            });
+                            response.on('end', function () {
+                                responseHeaders = response.headers;
+                                let encoding = responseHeaders['content-encoding'];
+                                if (encoding == 'gzip') {
+                                    zlib.gunzip(Buffer.concat(chunks), function (error, decoded) {
+                                        callFinished(0, error, decoded && decoded.toString());
+                                    });
+                                } else if (encoding == 'deflate') {
+                                    zlib.inflate(Buffer.concat(chunks), function (error, decoded) {
+                                        callFinished(0, error, decoded && decoded.toString());
+                                    })
+                                } else {
+                                    callFinished(0, null, Buffer.concat(chunks));
+                                }
+                            });
+                            response.on('error', function (error) {
+                                response.socket.emit('agentRemove');
+                                response.socket.destroy();
+                                callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (response error: ' + response.statusCode + ').');
                             });
-                        } else if (encoding == 'deflate') {
-                            zlib.inflate(Buffer.concat(chunks), function (error, decoded) {
-                                callFinished(0, error, decoded && decoded.toString());
-                            })
                         } else {
-                            callFinished(0, null, Buffer.concat(chunks));
-                        }
-                    });
-                    response.on('error', function (error) {
-                        response.socket.emit('agentRemove');
-                        response.socket.destroy();
-                        callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (response error: ' + response.statusCode + ').');
-                    });
-                } else {
-                    response.socket.emit('agentRemove');
-                    response.socket.destroy();
-                    callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (statusCode=' + response.statusCode + ').');
-                }
-            });
-            request.on('error', function (error) {
-                callFinished(10000 * retryCount, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (request error: ' + error + ' ).');
-            });
-            request.on('socket', function (socket) {
-                if (!socket.custom) {
-                    socket.custom = true;
-                    socket.on('error', function (error) {
-                        printErr('Socket timeout');
-                        socket.emit('agentRemove');
-                        socket.destroy();
-                        if (request) {
-                            request.emit('error', 'Socket timeout');
-                        }
-                    });
-                    socket.on('timeout', function (error) {
-                        printErr('Socket error');
-                        socket.emit('agentRemove');
-                        socket.end();
-                        if (request) {
-                            request.emit('error', 'Socket error');
+                            response.socket.emit('agentRemove');
+                            response.socket.destroy();
+                            serverError = response.statusCode >= 500;
+                            callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (statusCode=' + response.statusCode + ').');
                         }
                     });
+                } catch (error) {
+                    /* Invalid options, the request was not even sent */
+                    callFinished(0, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (request error: ' + error + ').');
+                    return;
                 }
+                request.on('error', function (error) {
+                    serverError = true;
+                    callFinished(10000 * retryCount, 'Unable to download content [' + retryCount + '] ' + decodeURI(url) + ' (request error: ' + error + ' ).');
+                });
+                request.on('socket', function (socket) {
+                    if (!socket.custom) {
+                        socket.custom = true;
+                        socket.on('error', function (error) {
+                            printErr('Socket timeout');
+                            socket.emit('agentRemove');
+                            socket.destroy();
+                            if (request) {
+                                request.emit('error', 'Socket timeout');
+                            }
+                        });
+                        socket.on('timeout', function (error) {
+                            printErr('Socket error');
+                            socket.emit('agentRemove');
+                            socket.end();
+                            if (request) {
+                                request.emit('error', 'Socket error');
+                            }
+                        });
+                    }
+                });
+                request.setTimeout(requestTimeout * 1000 * retryCount);
+                request.end();
             });
-            request.setTimeout(requestTimeout * 1000 * retryCount);
-            request.end();
         },
         function (error, data) {
             if (error) {
                 printErr('Absolutly unable to retrieve async. URL: ' + error);
+                downloadErrors[requestedUrl] = {status: lastStatus, error: error};
 
                 /* Unfortunately we can not do that because there are
                  * article which simply will not be parsed correctly by
@@ -1738,31 +3614,71 @@ function downloadContent( url, callback, var1, var2, var3 ) {
                  * http://parsoid-lb.eqiad.wikimedia.org/dewikivoyage/Via_Jutlandica/Gpx
                  * and this stops the whole dumping process */
                 // process.exit( 1 );
+            } else {
+                delete downloadErrors[requestedUrl];
             }
             callback(data || new Buffer(0), responseHeaders, var1, var2, var3);
         });
 }
 
-function downloadFileAndCache( url, callback ) {
+/* Filename of a media URL, without the width; math renderings have no
+ * extension in their URL, they get the one of their format */
+function getMediaFilename( url ) {
+    let mathParts = mathRenderRegex.exec(url);
+    if (mathParts) {
+        return mathParts[2] + '.' + mathParts[1];
+    }
+    let parts = mediaRegex.exec(decodeURI(url));
+    if (parts) {
+        return parts[2].length > parts[5].length ? parts[2] : parts[5] + ( parts[6] || '' ) + ( parts[7] || '' );
+    }
+}
+
+/* Media filename (without the width), width and path in the cache of a media URL */
+function getMediaCacheInfo( url ) {
     let parts = mediaRegex.exec(decodeURI(url));
-    let filenameBase = ( parts[2].length > parts[5].length ? parts[2] : parts[5] + (parts[6] || ".svg") + ( parts[7] || '' ) );
-    let width = parseInt(parts[4].replace(/px\-/g, '')) || INFINITY_WIDTH;
+    let mathParts = mathRenderRegex.exec(url);
+    let filenameBase = getMediaFilename(url);
+    let ext = mathParts ? '.' + mathParts[1] : pathParser.extname(urlParser.parse(url, false, true).pathname || '') || '';
+    let format = getConvertedExtension(ext);
+    return {
+        filenameBase: filenameBase,
+        width: parseInt(parts[4].replace(/px\-/g, '')) || INFINITY_WIDTH,
+        cachePath: cacheDirectory + 'm/' + crypto.createHash('sha1').update(filenameBase).digest('hex').substr(0, 20) +
+            ext + ( format ? '.' + format : '' )
+    };
+}
+
+/* Extension of the format to which the media with this filename is
+ * converted (by the optimizer, if it has the tools to do it): images to
+ * imageFormat, and with transcodeMedia videos to WebM and sounds to Opus */
+function getConvertedExtension( filename ) {
+    let mimeType = zimwriter.getMimeType(filename);
+    let format = /^image\//.test(mimeType) ? imageFormat :
+        /^video\//.test(mimeType) ? 'webm' : /^audio\//.test(mimeType) ? 'opus' : undefined;
+    return format && pathParser.extname(filename).substr(1).toLowerCase() != format &&
+        imageOptimizer.canConvert(mimeType, format) ? format : undefined;
+}
+
+function downloadFileAndCache( url, callback ) {
+    let mediaCacheInfo = getMediaCacheInfo(url);
+    let filenameBase = mediaCacheInfo.filenameBase;
+    let width = mediaCacheInfo.width;
 
     /* Check if we have already met this image during this dumping process */
-    redisClient.hget(redisMediaIdsDatabase, filenameBase, function (error, r_width) {
+    kvStore.hget(kvMediaIdsDatabase, filenameBase, function (error, r_width) {
 
-        /* If no redis entry */
+        /* If no key-value store entry */
         if (error || !r_width || r_width < width) {
 
-            /* Set the redis entry if necessary */
-            redisClient.hset(redisMediaIdsDatabase, filenameBase, width, function (error) {
+            /* Set the key-value store entry if necessary */
+            kvStore.hset(kvMediaIdsDatabase, filenameBase, width, function (error) {
                 if (error) {
-                    printErr('Unable to set redis entry for file to download ' + filenameBase + ': ' + error);
-                    process.exit(1);
+                    printErr('Unable to set key-value store entry for file to download ' + filenameBase + ': ' + error);
+                    exitAfterUnregisteringRun(1);
                 } else {
                     let mediaPath = getMediaPath(url);
-                    let cachePath = cacheDirectory + 'm/' + crypto.createHash('sha1').update(filenameBase).digest('hex').substr(0, 20) +
-                        ( pathParser.extname(urlParser.parse(url, false, true).pathname || '') || '' );
+                    let cachePath = mediaCacheInfo.cachePath;
                     let cacheHeadersPath = cachePath + '.h';
                     let toDownload = false;
 
@@ -1784,7 +3700,7 @@ function downloadFileAndCache( url, callback ) {
                                 if (error) {
                                     if (error.code != 'EEXIST') {
                                         printErr('Unable to create symlink to ' + mediaPath + ' at ' + cachePath + ': ' + error);
-                                        process.exit(1);
+                                        exitAfterUnregisteringRun(1);
                                     } else if (!skipCacheCleaning) {
                                         touch(cachePath);
                                     }
@@ -1793,14 +3709,15 @@ function downloadFileAndCache( url, callback ) {
                                 if (!skipCacheCleaning) {
                                     touch(cacheHeadersPath);
                                 }
+                                checkpoint('m', filenameBase, width);
                             });
                             if (responseHeaders.width == width) {
-                                redisClient.hdel(redisCachedMediaToCheckDatabase, filenameBase);
+                                kvStore.hdel(kvCachedMediaToCheckDatabase, filenameBase);
                             } else {
-                                redisClient.hset(redisCachedMediaToCheckDatabase, filenameBase, width, function (error) {
+                                kvStore.hset(kvCachedMediaToCheckDatabase, filenameBase, width, function (error) {
                                     if (error) {
-                                        printErr('Unable to set redis cache media to check ' + filenameBase + ': ' + error);
-                                        process.exit(1);
+                                        printErr('Unable to set key-value store cache media to check ' + filenameBase + ': ' + error);
+                                        exitAfterUnregisteringRun(1);
                                     }
                                 });
                             }
@@ -1810,28 +3727,43 @@ function downloadFileAndCache( url, callback ) {
                         toDownload = true;
                     }
 
-                    /* Download the file if necessary */
+                    /* Download the file if necessary; it is only journaled
+                     * as done once linked and optimized, for a resumed
+                     * dump not to skip its optimization */
                     if (toDownload) {
+                        let pendingSteps = 2;
+                        function stepDone() {
+                            if (--pendingSteps === 0) {
+                                checkpoint('m', filenameBase, width);
+                            }
+                        }
+
                         downloadFile(url, cachePath, true, function (error) {
                             if (error) {
-                                callback();
+                                recordFailure({url: url, error: error});
+                                kvStore.hdel(kvMediaIdsDatabase, filenameBase, function () {
+                                    callback();
+                                });
                             } else {
                                 printLog('Caching ' + filenameBase + ' at ' + cachePath + '...');
                                 fs.symlink(cachePath, mediaPath, 'file', function (error) {
                                     if (error && error.code != 'EEXIST') {
                                         printErr('Unable to create symlink to ' + mediaPath + ' at ' + cachePath + ': ' + error);
-                                        process.exit(1);
+                                        exitAfterUnregisteringRun(1);
+                                        return;
                                     }
                                     fs.writeFile(cacheHeadersPath, JSON.stringify({width: width}), function (error) {
                                         if (error) {
                                             printErr('Unable to write cache header at ' + cacheHeadersPath + ': ' + error);
-                                            process.exit(1);
+                                            exitAfterUnregisteringRun(1);
+                                            return;
                                         }
+                                        stepDone();
                                         callback();
                                     });
                                 });
                             }
-                        });
+                        }, stepDone);
                     } else {
                         printLog('Cache hit for ' + url);
                     }
@@ -1847,7 +3779,29 @@ function downloadFileAndCache( url, callback ) {
     });
 }
 
-function downloadFile( url, path, force, callback ) {
+/* Subtitles of a video or sound, from the TimedText API */
+function downloadTrack( url, callback ) {
+    let path = htmlRootPath + getTrackBase(url);
+    downloadContentAndCache(url, function (content) {
+        if (!content.length) {
+            recordFailure({url: url, error: 'Unable to download ' + decodeURI(url)});
+            callback();
+            return;
+        }
+        fs.writeFile(path, content, function (error) {
+            if (error) {
+                printErr('Unable to write ' + path + ' (' + url + ')');
+                exitAfterUnregisteringRun(1);
+                return;
+            }
+            callback();
+        });
+    });
+}
+
+/* The optional optimized callback is called once the downloaded file
+ * went through the optimization queue */
+function downloadFile( url, path, force, callback, optimized ) {
     fs.stat(path, function (error) {
         if (error && !force) {
             if (error.code == 'ENOENT') {
@@ -1855,19 +3809,23 @@ function downloadFile( url, path, force, callback ) {
                 callback();
             } else {
                 printLog('Impossible to stat() ' + path + ': ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             }
         } else {
             printLog('Downloading ' + decodeURI(url) + ' at ' + path + '...');
             downloadContent(url, function (content, responseHeaders) {
+                if (!content.length) {
+                    callback('Unable to download ' + decodeURI(url), responseHeaders);
+                    return;
+                }
                 fs.writeFile(path, content, function (error) {
                     if (error) {
                         printErr('Unable to write ' + path + ' (' + url + ')');
-                        process.exit(1);
-                    } else {
-                        optimizationQueue.push({path: path, size: content.length});
+                        exitAfterUnregisteringRun(1);
+                        return;
                     }
-                    callback(error, responseHeaders);
+                    optimizationQueue.push({path: path, size: content.length}, optimized);
+                    callback(null, responseHeaders);
                 });
             });
         }
@@ -1875,6 +3833,36 @@ function downloadFile( url, path, force, callback ) {
 }
 
 /* Internal path/url functions */
+
+/* Width of a thumbnail URL (the "NNNpx-" part), undefined for originals */
+function getThumbnailWidth( url ) {
+    let parts = mediaRegex.exec(decodeURI(url));
+    return parts && parts[4] ? parseInt(parts[4]) : undefined;
+}
+
+/* Thumbnail URL at an other width. Bitmaps can not be scaled up, the
+ * original is used if it is not larger than the wanted width */
+function resizeThumbnailUrl( url, width, fileWidth ) {
+    let parts = mediaRegex.exec(url);
+    if (!parts || !parts[4]) {
+        return url;
+    } else if (fileWidth && width >= fileWidth) {
+        return /\/thumb\//.test(parts[1]) ? parts[1].replace('/thumb/', '/') + parts[2] : url;
+    }
+    return parts[1] + parts[2] + parts[3] + width + 'px-' + parts[5] + ( parts[6] || '' ) + ( parts[7] || '' );
+}
+
+function isTrackUrl( url ) {
+    return /[?&]action=timedtext(&|$)/.test(url);
+}
+
+/* "<file title>.<language>.vtt" for a TimedText API URL */
+function getTrackBase( url, escape ) {
+    let query = urlParser.parse(url, true).query;
+    let filename = ( ( query.title || '' ).replace(/^[^:]*:/, '') + '.' + ( query.lang || '' ) + '.vtt' ).replace(/\//g, '_');
+    return mediaDirectory + '/' + ( escape ? encodeURIComponent(filename) : filename );
+}
+
 function getMediaUrl( url ) {
     return getMediaBase(url, true);
 }
@@ -1885,12 +3873,7 @@ function getMediaPath( url, escape ) {
 }
 
 function getMediaBase( url, escape ) {
-    let root;
-
-    let parts = mediaRegex.exec(decodeURI(url));
-    if (parts) {
-        root = parts[2].length > parts[5].length ? parts[2] : parts[5] + (parts[6] || ".svg") + ( parts[7] || '' );
-    }
+    let root = getMediaFilename(url);
 
     if (!root) {
         printErr('Unable to parse media url \"' + url + '\"');
@@ -1902,10 +3885,7 @@ function getMediaBase( url, escape ) {
             escape ? encodeURIComponent(string) : string );
     }
 
-    let filenameFirstVariant = parts[2];
-    let filenameSecondVariant = parts[5] + (parts[6] || ".svg") + ( parts[7] || '' );
-    let filename = util.myDecodeURIComponent(filenameFirstVariant.length > filenameSecondVariant.length ?
-        filenameFirstVariant : filenameSecondVariant);
+    let filename = util.myDecodeURIComponent(root);
 
     /* Need to shorten the file due to filesystem limitations */
     if (unicodeCutter.getBinarySize(filename) > 249) {
@@ -1914,6 +3894,12 @@ function getMediaBase( url, escape ) {
         filename = unicodeCutter.truncateToBinarySize(basename, 239 - ext.length) + crypto.createHash('md5').update(basename).digest('hex').substring(0, 2) + '.' + ext;
     }
 
+    /* Converted media keep their original extension, not to collide */
+    let format = getConvertedExtension(filename);
+    if (format) {
+        filename += '.' + format;
+    }
+
     return mediaDirectory + '/' + e(filename);
 }
 
@@ -1925,7 +3911,7 @@ function getArticlePath( articleId, escape ) {
     return htmlRootPath + getArticleBase(articleId, escape);
 }
 
-function getArticleBase( articleId, escape ) {
+function getArticleBase( articleId, escape, extension ) {
     let filename = articleId.replace(/\//g, '_');
     let dirBase = filename.replace(/\./g, '_');
 
@@ -1939,7 +3925,56 @@ function getArticleBase( articleId, escape ) {
             escape ? encodeURIComponent(string) : string );
     }
 
-    return e(filename) + '.html';
+    return e(filename) + ( extension || '.html' );
+}
+
+/* Articles are retrieved at the revision collected by getArticleIds(),
+ * so a dump is a consistent snapshot even if the wiki is edited
+ * meanwhile. As the revision is part of the URL, it is also part of the
+ * cache key in downloadContentAndCache(). */
+function getArticleContentUrl( articleId ) {
+    let revision = articleIds[articleId];
+    let url;
+
+    if (useRestApi) {
+        url = restUrl + 'page/mobile-sections/' + encodeURIComponent(articleId) + ( revision ? '/' + revision : '' );
+    } else {
+        url = parsoidUrl + encodeURIComponent(articleId);
+        if (revision) {
+            url += ( parsoidUrl.indexOf('/rest') < 0 ? ( parsoidUrl.indexOf('?') < 0 ? '?' : '&' ) + 'oldid=' : '/' ) + revision;
+        }
+    }
+
+    return url;
+}
+
+/* Wrap a Parsoid (or visualeditor API) response in the structure of a
+ * Content Service mobile-sections response, with all the content in
+ * the lead section */
+function getMobileSectionsFromParsoid( content, articleId ) {
+    let html = content.toString();
+
+    try {
+        let json = JSON.parse(html);
+        if (json['visualeditor']) {
+            html = json['visualeditor']['content'];
+        } else if (json['contentmodel'] === 'wikitext') {
+            html = json['html']['body'];
+        }
+    } catch (error) {
+        /* Raw Parsoid HTML */
+    }
+
+    let doc = domino.createDocument(html);
+    return {
+        'lead': {
+            'displaytitle': articleId.replace(/_/g, ' '),
+            'sections': [{'id': 0, 'text': doc.body.innerHTML}]
+        },
+        'remaining': {
+            'sections': []
+        }
+    };
 }
 
 function getSubTitle( finished ) {
@@ -1955,10 +3990,27 @@ function getSubTitle( finished ) {
 
 function getSiteInfo( finished ) {
     printLog('Getting web site name...');
-    let url = apiUrl + 'action=query&meta=siteinfo&format=json&siprop=general|namespaces|statistics|variables|category|wikidesc';
+    let url = apiUrl + 'action=query&meta=siteinfo|allmessages&format=json&siprop=general|namespaces|statistics|variables|category|wikidesc|rightsinfo' +
+        '&ammessages=' + nearbyArticlesMessages.join('|') + '&uselang=content';
     downloadContent(url, function (content) {
         let body = content.toString();
         let entries = JSON.parse(body)['query']['general'];
+        let rightsInfo = JSON.parse(body)['query']['rightsinfo'];
+        let messages = JSON.parse(body)['query']['allmessages'] || [];
+
+        /* License */
+        if (rightsInfo && rightsInfo['text']) {
+            licenseName = rightsInfo['text'];
+            licenseUrl = rightsInfo['url'] ? getFullUrl(rightsInfo['url']) : licenseUrl;
+        }
+
+        /* Nearby articles heading, in the language of the wiki */
+        let nearbyMessage = messages.filter(function (message) {
+            return message['missing'] === undefined && message['*'];
+        })[0];
+        if (nearbyMessage) {
+            nearbyArticlesLabel = nearbyMessage['*'];
+        }
 
         /* Welcome page */
         if (!mainPageId && !articleList) {
@@ -1983,16 +4035,40 @@ function getSiteInfo( finished ) {
     });
 }
 
+function checkRestApi( finished ) {
+    printLog('Checking Content Service availability at ' + restUrl + '...');
+    downloadContent(restUrl + 'page/', function (content) {
+        let items;
+        try {
+            items = JSON.parse(content.toString())['items'];
+        } catch (error) {
+            items = undefined;
+        }
+
+        useRestApi = items instanceof Array && items.indexOf('mobile-sections') >= 0;
+        if (useRestApi) {
+            printLog('Content Service available, articles will be retrieved from ' + restUrl);
+        } else {
+            printLog('Content Service not available, fallback to Parsoid at ' + parsoidUrl);
+        }
+        finished();
+    });
+}
+
 function saveFavicon( finished ) {
     printLog('Saving favicon.png...');
     let faviconPath = htmlRootPath + 'favicon.png';
 
     function resizeFavicon(finished) {
-        let cmd = 'convert -thumbnail 48 "' + faviconPath + '" "' + faviconPath + '.tmp" ; mv  "' + faviconPath + '.tmp" "' + faviconPath + '" ';
+        /* Exactly 48x48 and PNG, as it is also the ZIM illustration */
+        let cmd = 'convert -thumbnail 48x48 -background none -gravity center -extent 48x48 "' + faviconPath + '" "png:' + faviconPath + '.tmp" ; mv  "' + faviconPath + '.tmp" "' + faviconPath + '" ';
         exec(cmd, function () {
             fs.stat(faviconPath, function (error, stats) {
                 optimizationQueue.push({path: faviconPath, size: stats.size}, function () {
-                    finished(error);
+                    fs.readFile(faviconPath, function (error, content) {
+                        zimIllustration = content;
+                        finished(error);
+                    });
                 });
             });
         }).on('error', function (error) {
@@ -2017,47 +4093,269 @@ function saveFavicon( finished ) {
     }
 }
 
-function getMainPage( finished ) {
+function saveStylesheet( finished ) {
+    printLog('Saving stylesheet...');
+    let url = loadUrl + 'lang=' + langIso2 + '&modules=' + encodeURIComponent(cssModules.join('|')) + '&only=styles&skin=minerva';
+    let stylePath = htmlRootPath + styleDirectory + '/';
+
+    downloadContent(url, function (content) {
+        let css = content.toString();
+        let files = {};
+
+        /* Files referenced by url() are saved next to the stylesheet */
+        css = css.replace(/url\(\s*(['"]?)([^)'"]+)\1\s*\)/g, function (match, quote, cssUrl) {
+            if (cssUrl.indexOf('data:') == 0) {
+                return match;
+            }
+
+            let fileUrl = getFullUrl(cssUrl, loadUrl);
+            let filename = pathParser.basename(urlParser.parse(fileUrl).pathname || '');
+            if (!filename) {
+                return match;
+            }
+            if (files[filename] && files[filename] != fileUrl) {
+                filename = crypto.createHash('md5').update(fileUrl).digest('hex').substr(0, 8) + '_' + filename;
+            }
+            files[filename] = fileUrl;
+
+            return 'url(' + quote + encodeURIComponent(filename) + quote + ')';
+        });
 
-    function writeMainPage(html, finished) {
-        let mainPagePath = htmlRootPath + 'index.htm';
-        if (deflateTmpHtml) {
-            zlib.deflate(html, function (error, deflatedHtml) {
-                fs.writeFile(mainPagePath, deflatedHtml, finished);
+        async.eachLimit(Object.keys(files), speed, function (filename, finished) {
+            downloadFile(files[filename], stylePath + filename, true, function () {
+                finished();
+            });
+        }, function () {
+            fs.writeFile(stylePath + 'style.css', css + '\n' + offlineStyleCode, function (error) {
+                if (error) {
+                    printErr('Unable to write stylesheet: ' + error);
+                    exitAfterUnregisteringRun(1);
+                } else {
+                    finished();
+                }
+            });
+        });
+    });
+}
+
+/* Index of the mirrored articles with coordinates, from their details */
+function loadGeoIndex( finished ) {
+    let ids = Object.keys(articleIds).sort();
+    let batches = [];
+    for (let i = 0; i < ids.length; i += geoIndexBatchSize) {
+        batches.push(ids.slice(i, i + geoIndexBatchSize));
+    }
+
+    geoIndex = geoindex.createGeoIndex(geoCellSize);
+    async.eachSeries(batches, function (batch, finished) {
+        kvStore.hmget(kvArticleDetailsDatabase, batch, function (error, details) {
+            if (error) {
+                finished(error);
+                return;
+            }
+            batch.map(function (articleId, index) {
+                let coordinates;
+                try {
+                    coordinates = details[index] && geoindex.parseCoordinates(JSON.parse(details[index])['g']);
+                } catch (error) {
+                    printErr('Unable to parse the details of article ' + articleId + ' for the geo index: ' + error);
+                }
+                if (coordinates) {
+                    geoIndex.add(articleId, coordinates.lat, coordinates.lon);
+                }
             });
+            finished();
+        });
+    }, function (error) {
+        if (error) {
+            printErr('Unable to get article details from the key-value store: ' + error);
+            exitAfterUnregisteringRun(1);
         } else {
-            fs.writeFile(mainPagePath, html, finished);
+            printLog(geoIndex.getCount() + ' article(s) with coordinates');
+            finished();
         }
+    });
+}
+
+/* GeoJSON and binary grid index of the geotagged articles, see geoindex.js */
+function saveGeoIndex( finished ) {
+    if (!geoIndex.getCount()) {
+        finished();
+        return;
     }
 
-    function createMainPage(finished) {
-        printLog('Creating main page...');
-        let doc = domino.createDocument(htmlTemplateCode);
-        doc.getElementById('titleHeading').innerHTML = 'Summary';
-        doc.getElementsByTagName('title')[0].innerHTML = 'Summary';
+    printLog('Saving geo index...');
+    let geoPath = htmlRootPath + geoDirectory + '/';
+    let geoJson = geoIndex.toGeoJson(function (articleId) {
+        return withHtmlOutput() ? getArticleBase(articleId) : jsonDirectory + '/' + getArticleBase(articleId, false, '.json');
+    });
+    async.series(
+        [
+            function (finished) {
+                fs.writeFile(geoPath + 'articles.geojson', geoJson, finished)
+            },
+            function (finished) {
+                fs.writeFile(geoPath + 'index.bin', geoIndex.toBinary(), finished)
+            }
+        ],
+        function (error) {
+            if (error) {
+                printErr('Unable to write the geo index: ' + error);
+                exitAfterUnregisteringRun(1);
+            } else {
+                finished();
+            }
+        });
+}
 
-        let html = '<ul>\n';
-        Object.keys(articleIds).sort().map(function (articleId) {
-            html = html + '<li><a href="' + getArticleBase(articleId, true) + '"\>' + articleId.replace(/_/g, ' ') + '<a></li>\n';
+function formatDistance( distance ) {
+    return distance < 1 ? Math.round(distance * 1000) + ' m' : ( distance < 10 ? distance.toFixed(1) : Math.round(distance) ) + ' km';
+}
+
+function saveJavascript( finished ) {
+    printLog('Saving javascript...');
+    let javascriptPath = htmlRootPath + javascriptDirectory + '/';
+    async.series(
+        [
+            function (finished) {
+                fs.writeFile(javascriptPath + 'head.js', headJavascriptCode, finished)
+            },
+            function (finished) {
+                fs.writeFile(javascriptPath + 'body.js', bodyJavascriptCode, finished)
+            }
+        ],
+        function (error) {
+            if (error) {
+                printErr('Unable to write javascript: ' + error);
+                exitAfterUnregisteringRun(1);
+            } else {
+                finished();
+            }
         });
-        html = html + '</ul>\n';
-        doc.getElementById('mw-content-text').innerHTML = html;
+}
 
-        /* Write the static html file */
-        writeMainPage(doc.documentElement.outerHTML, finished);
-    }
+/* The welcome page is the main page article, written by saveArticles(),
+ * or index pages of all the articles if there is none */
+function getMainPage( finished ) {
+    indexPages = [];
 
-    function createMainPageRedirect(finished) {
-        printLog('Create main page redirection...');
-        let html = redirectTemplateCode.replace("{{ title }}", mainPageId.replace(/_/g, ' ')).replace("{{ target }}", getArticleBase(mainPageId, true));
-        writeMainPage(html, finished);
+    if (!withHtmlOutput()) {
+        finished();
+    } else if (mainPageId && isMirrored(mainPageId)) {
+        printLog('Main page will be written from article ' + mainPageId);
+        finished();
+    } else {
+        createIndexPages(finished);
     }
+}
 
-    if (mainPageId) {
-        createMainPageRedirect(finished);
-    } else {
-        createMainPage(finished);
+function getIndexPageBase( page ) {
+    return page ? 'index_' + ( page + 1 ) + '.htm' : 'index.htm';
+}
+
+/* Alphabetical index of the articles, paginated, with the first letters
+ * linked to their first pages and a search of the titles */
+function createIndexPages( finished ) {
+    printLog('Creating index pages...');
+    let entries = Object.keys(articleIds).map(function (articleId) {
+        return {title: articleId.replace(/_/g, ' '), base: getArticleBase(articleId, true)};
+    }).sort(function (a, b) {
+        return a.title.localeCompare(b.title);
+    });
+    let pageCount = Math.max(1, Math.ceil(entries.length / indexPageSize));
+
+    /* Page of the first article of each letter */
+    let letters = [];
+    let letterPages = {};
+    entries.map(function (entry, index) {
+        let letter = entry.title.charAt(0).toUpperCase();
+        if (!letterPages.hasOwnProperty(letter)) {
+            letters.push(letter);
+            letterPages[letter] = Math.floor(index / indexPageSize);
+        }
+    });
+
+    function renderPage(page) {
+        let doc = domino.createDocument(htmlTemplateCode);
+        doc.documentElement.setAttribute('lang', langIso2);
+        doc.documentElement.setAttribute('dir', ltr ? 'ltr' : 'rtl');
+        doc.getElementsByTagName('title')[0].textContent = name;
+        doc.getElementById('titleHeading').textContent = name;
+
+        let html = '<div class="index-search"><input id="index-search-input" type="search" autocomplete="off" />' +
+            '<ul id="index-search-results"></ul></div>\n';
+
+        html += '<div class="index-letters">' + letters.map(function (letter) {
+            return '<a href="' + getIndexPageBase(letterPages[letter]) + '#index-letter-' + encodeURIComponent(letter) + '">' + util.escapeHtml(letter) + '</a>';
+        }).join('') + '</div>\n';
+
+        let pageEntries = entries.slice(page * indexPageSize, ( page + 1 ) * indexPageSize);
+        let currentLetter;
+        html += '<ul>\n';
+        pageEntries.map(function (entry) {
+            let letter = entry.title.charAt(0).toUpperCase();
+            if (letter != currentLetter) {
+                currentLetter = letter;
+                html += '</ul>\n<h2 id="index-letter-' + util.escapeHtml(encodeURIComponent(letter)) + '">' + util.escapeHtml(letter) + '</h2>\n<ul>\n';
+            }
+            html += '<li><a href="' + util.escapeHtml(entry.base) + '">' + util.escapeHtml(entry.title) + '</a></li>\n';
+        });
+        html += '</ul>\n';
+
+        if (pageCount > 1) {
+            html += '<div class="index-pages">';
+            for (let i = 0; i < pageCount; i++) {
+                html += i == page ? '<strong>' + ( i + 1 ) + '</strong>' : '<a href="' + getIndexPageBase(i) + '">' + ( i + 1 ) + '</a>';
+            }
+            html += '</div>\n';
+        }
+
+        let contentNode = doc.getElementById('mw-content-text');
+        contentNode.innerHTML = html.replace('<ul>\n</ul>\n', '');
+        ['j/titles.js', 'j/search.js'].map(function (src) {
+            let scriptNode = doc.createElement('script');
+            scriptNode.setAttribute('src', src);
+            doc.body.appendChild(scriptNode);
+        });
+
+        return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
     }
+
+    let javascriptPath = htmlRootPath + javascriptDirectory + '/';
+    let titles = entries.map(function (entry) {
+        return [entry.title, entry.base];
+    });
+
+    async.series(
+        [
+            function (finished) {
+                fs.writeFile(javascriptPath + 'titles.js', 'var indexTitles = ' + JSON.stringify(titles) + ';\n', finished);
+            },
+            function (finished) {
+                fs.writeFile(javascriptPath + 'search.js', searchJavascriptCode, finished);
+            },
+            function (finished) {
+                let pages = [];
+                for (let i = 0; i < pageCount; i++) {
+                    pages.push(i);
+                }
+                async.eachSeries(pages, function (page, finished) {
+                    let title = page ? name + ' (' + ( page + 1 ) + ')' : name;
+                    if (page) {
+                        indexPages.push({base: getIndexPageBase(page), title: title});
+                    }
+                    writeDumpFile(getIndexPageBase(page), renderPage(page), title, finished);
+                }, finished);
+            }
+        ],
+        function (error) {
+            if (error) {
+                printErr('Unable to write the index pages: ' + error);
+                exitAfterUnregisteringRun(1);
+            } else {
+                finished();
+            }
+        });
 }
 
 function getNamespaces( finished ) {
@@ -2139,7 +4437,7 @@ function executeTransparently( command, args, callback, nostdout, nostderr ) {
         let proc = spawn(command, args)
             .on('error', function (error) {
                 printErr('Error in executeTransparently(), ' + error);
-                process.exit(1);
+                exitAfterUnregisteringRun(1);
             });
 
         if (!nostdout) {
@@ -2178,7 +4476,29 @@ function touch( paths ) {
     });
 }
 
+/* Try to not leave data in the key-value store on exit signals and
+ * fatal errors, all the exits of a registered run go through here */
+function exitAfterUnregisteringRun( code ) {
+    if (exiting) {
+        return;
+    }
+    exiting = true;
+    setTimeout(process.exit, 10000, code);
+    unregisterRun(function () {
+        kvStore.quit(function () {
+            process.exit(code);
+        });
+    });
+}
+
+[ [ 'SIGHUP', 1 ], [ 'SIGINT', 2 ], [ 'SIGTERM', 15 ] ].map( function( signal ) {
+    process.on( signal[0], function() {
+        printErr('Received ' + signal[0] + ', cleaning up the key-value store...');
+        exitAfterUnregisteringRun(128 + signal[1]);
+    });
+});
+
 process.on( 'uncaughtException', function( error ) {
     printErr(error.stack);
-    process.exit(42);
+    exitAfterUnregisteringRun(42);
 });
@@ -0,0 +1,396 @@
+"use strict";
+
+const fs = require( 'fs' );
+const pathParser = require( 'path' );
+const spawn = require( 'child_process' ).spawn;
+const util = require( './util' );
+
+/* Pure javascript encoders, optional, used if the tools to optimize
+ * JPEG or PNG images are missing */
+let jpegJs;
+let pngJs;
+try {
+    jpegJs = require( 'jpeg-js' );
+} catch (error) {
+}
+try {
+    pngJs = require( 'pngjs' );
+} catch (error) {
+}
+
+/* Media optimization. Media are recognized by their content, each MIME
+ * type has a list of steps, run one after the other on temporary files;
+ * the result replaces the image only if it is smaller. A step either
+ * writes a new file (args(input, output)) or changes its file in place
+ * (inPlace, args(file)). If a tool is missing, its MIME type is not
+ * optimized, except with the javascript fallback if there is one.
+ * Media are converted (even if the result is larger) if their path has
+ * the extension of one of the formats to convert to. */
+
+const tools = {
+    jpegoptim: ['--version'],
+    pngquant: ['--version'],
+    advdef: ['--version'],
+    gifsicle: ['--version'],
+    cwebp: ['-version'],
+    gif2webp: ['-version'],
+    avifenc: ['--version'],
+    ffmpeg: ['-version']
+};
+
+const optimizers = {
+    'image/jpeg': [
+        {tool: 'jpegoptim', inPlace: true, args: function (file) {
+            return ['-s', '-f', '--all-normal', '-m40', file];
+        }}
+    ],
+    'image/png': [
+        {tool: 'pngquant', args: function (input, output) {
+            return ['--nofs', '--force', '--output', output, '--', input];
+        }},
+        {tool: 'advdef', inPlace: true, args: function (file) {
+            return ['-q', '-z', '-4', '-i', '5', file];
+        }}
+    ],
+    'image/gif': [
+        {tool: 'gifsicle', args: function (input, output) {
+            return ['--colors', '64', '-O3', input, '-o', output];
+        }}
+    ]
+};
+
+const fallbacks = {
+    'image/jpeg': jpegJs && function (content) {
+        return jpegJs.encode(jpegJs.decode(content), 75).data;
+    },
+    'image/png': pngJs && function (content) {
+        return pngJs.PNG.sync.write(pngJs.PNG.sync.read(content), {deflateLevel: 9, filterType: -1});
+    }
+};
+
+function transcodeVideo( input, output ) {
+    return ['-nostdin', '-loglevel', 'error', '-y', '-i', input,
+        '-c:v', 'libvpx-vp9', '-crf', '40', '-b:v', '0', '-c:a', 'libopus', '-b:a', '64k', '-f', 'webm', output];
+}
+
+function transcodeAudio( input, output ) {
+    return ['-nostdin', '-loglevel', 'error', '-y', '-i', input, '-vn', '-c:a', 'libopus', '-b:a', '64k', '-f', 'ogg', output];
+}
+
+const conversions = {
+    webp: {
+        'image/jpeg': [
+            {tool: 'cwebp', args: function (input, output) {
+                return ['-quiet', '-metadata', 'none', '-q', '75', input, '-o', output];
+            }}
+        ],
+        'image/png': [
+            {tool: 'cwebp', args: function (input, output) {
+                return ['-quiet', '-metadata', 'none', '-q', '75', input, '-o', output];
+            }}
+        ],
+        'image/gif': [
+            {tool: 'gif2webp', args: function (input, output) {
+                return ['-quiet', '-mixed', '-q', '75', input, '-o', output];
+            }}
+        ]
+    },
+    avif: {
+        'image/jpeg': [
+            {tool: 'avifenc', args: function (input, output) {
+                return ['--speed', '6', '--min', '20', '--max', '40', input, output];
+            }}
+        ],
+        'image/png': [
+            {tool: 'avifenc', args: function (input, output) {
+                return ['--speed', '6', '--min', '20', '--max', '40', input, output];
+            }}
+        ]
+    },
+    webm: {
+        'video/mp4': [{tool: 'ffmpeg', args: transcodeVideo}],
+        'video/ogg': [{tool: 'ffmpeg', args: transcodeVideo}],
+        'video/mpeg': [{tool: 'ffmpeg', args: transcodeVideo}]
+    },
+    opus: {
+        'audio/mpeg': [{tool: 'ffmpeg', args: transcodeAudio}],
+        'audio/ogg': [{tool: 'ffmpeg', args: transcodeAudio}],
+        'audio/wav': [{tool: 'ffmpeg', args: transcodeAudio}],
+        'audio/flac': [{tool: 'ffmpeg', args: transcodeAudio}],
+        'audio/mp4': [{tool: 'ffmpeg', args: transcodeAudio}]
+    }
+};
+
+/* Size of the beginning of the media needed to sniff its MIME type */
+const SNIFF_SIZE = 1024;
+
+/* MIME type of a media, from its first bytes. Ogg files are "audio/ogg",
+ * "audio/opus" if they contain Opus and "video/ogg" if they contain
+ * Theora */
+function sniffMimeType( content ) {
+    let ftypBrand = content.slice(4, 8).toString('latin1') == 'ftyp' ? content.slice(8, 12).toString('latin1') : undefined;
+    if (content.length >= 3 && content[0] == 0xFF && content[1] == 0xD8 && content[2] == 0xFF) {
+        return 'image/jpeg';
+    } else if (content.slice(0, 8).toString('hex') == '89504e470d0a1a0a') {
+        return 'image/png';
+    } else if (/^GIF8[79]a/.test(content.slice(0, 6).toString('latin1'))) {
+        return 'image/gif';
+    } else if (content.slice(0, 4).toString('latin1') == 'RIFF' && content.slice(8, 12).toString('latin1') == 'WEBP') {
+        return 'image/webp';
+    } else if (ftypBrand && /^avi[fs]/.test(ftypBrand)) {
+        return 'image/avif';
+    } else if (ftypBrand) {
+        return /^M4[AB]/.test(ftypBrand) ? 'audio/mp4' : 'video/mp4';
+    } else if (content.slice(0, 4).toString('hex') == '1a45dfa3') {
+        return 'video/webm';
+    } else if (content.slice(0, 4).toString('latin1') == 'OggS') {
+        let header = content.slice(0, 128).toString('latin1');
+        return /OpusHead/.test(header) ? 'audio/opus' : /\x80theora/.test(header) ? 'video/ogg' : 'audio/ogg';
+    } else if (content.slice(0, 4).toString('latin1') == 'fLaC') {
+        return 'audio/flac';
+    } else if (content.slice(0, 4).toString('latin1') == 'RIFF' && content.slice(8, 12).toString('latin1') == 'WAVE') {
+        return 'audio/wav';
+    } else if (content.slice(0, 3).toString('latin1') == 'ID3' || ( content.length >= 2 && content[0] == 0xFF && ( content[1] & 0xE0 ) == 0xE0 )) {
+        return 'audio/mpeg';
+    } else if (content.slice(0, 4).toString('hex') == '000001ba') {
+        return 'video/mpeg';
+    } else if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(content.slice(0, 1024).toString())) {
+        return 'image/svg+xml';
+    }
+}
+
+function run( command, args, callback ) {
+    let stderr = '';
+    let called = false;
+    function done(error) {
+        if (!called) {
+            called = true;
+            callback(error);
+        }
+    }
+
+    let proc = spawn(command, args, {stdio: ['ignore', 'ignore', 'pipe']});
+    proc.stderr.on('data', function (data) {
+        stderr += data.toString();
+    });
+    proc.on('error', function (error) {
+        done(command + ': ' + error);
+    });
+    proc.on('close', function (code) {
+        done(code !== 0 ? command + ' exited with code ' + code + ( stderr ? ': ' + stderr.trim() : '' ) : undefined);
+    });
+}
+
+/* options: {convertTo: formats to convert to (among "webp" or "avif",
+ * "webm" and "opus"), log(msg), warn(msg)} */
+function createOptimizer( options ) {
+    let log = options.log || function () {};
+    let warn = options.warn || function () {};
+    let convertTo = options.convertTo || [];
+    let availableTools = {};
+
+    convertTo.map(function (format) {
+        if (!conversions[format]) {
+            throw new Error('Unknown format "' + format + '"');
+        }
+    });
+
+    function isAvailable(steps) {
+        return steps && steps.every(function (step) {
+            return availableTools[step.tool];
+        });
+    }
+
+    function getMissingTools(steps) {
+        return steps.filter(function (step) {
+            return !availableTools[step.tool];
+        }).map(function (step) {
+            return step.tool;
+        }).filter(function (tool, index, missingTools) {
+            return missingTools.indexOf(tool) == index;
+        });
+    }
+
+    /* Look for the tools, warn about the types which can not be
+     * optimized or converted */
+    function init(callback) {
+        let names = Object.keys(tools);
+        let remaining = names.length;
+        names.map(function (name) {
+            run(name, tools[name], function (error) {
+                availableTools[name] = !error || !/ENOENT/.test(error);
+                if (--remaining == 0) {
+                    Object.keys(optimizers).map(function (mimeType) {
+                        if (!isAvailable(optimizers[mimeType])) {
+                            warn('Unable to find ' + getMissingTools(optimizers[mimeType]).join(', ') + ', ' + mimeType + ' images will ' +
+                                ( fallbacks[mimeType] ? 'be optimized with a slower javascript encoder' : 'not be optimized' ));
+                        }
+                    });
+                    convertTo.map(function (format) {
+                        Object.keys(conversions[format]).map(function (mimeType) {
+                            if (!isAvailable(conversions[format][mimeType])) {
+                                warn('Unable to find ' + getMissingTools(conversions[format][mimeType]).join(', ') + ', ' +
+                                    mimeType + ' files will not be converted to ' + format);
+                            }
+                        });
+                    });
+                    callback();
+                }
+            });
+        });
+    }
+
+    function getTmpPath(path) {
+        return path + '.' + util.randomString(5) + '.tmp';
+    }
+
+    function runSteps(steps, path, callback) {
+        let tmpPaths = [];
+        let input = path;
+
+        function cleanup(keptPath) {
+            tmpPaths.map(function (tmpPath) {
+                if (tmpPath != keptPath) {
+                    fs.unlink(tmpPath, function () {});
+                }
+            });
+        }
+
+        let index = 0;
+        (function next(error) {
+            if (error || index == steps.length) {
+                cleanup(error ? undefined : input);
+                callback(error, error ? undefined : input);
+                return;
+            }
+
+            let step = steps[index++];
+            let output = getTmpPath(path);
+            tmpPaths.push(output);
+            if (step.inPlace) {
+                fs.copyFile(input, output, function (error) {
+                    if (error) {
+                        next(error);
+                    } else {
+                        input = output;
+                        run(step.tool, step.args(output), next);
+                    }
+                });
+            } else {
+                run(step.tool, step.args(input, output), function (error) {
+                    input = output;
+                    next(error);
+                });
+            }
+        })();
+    }
+
+    /* Replace the image by its optimized version, if the image has not
+     * been changed meanwhile and, except for a conversion, if it is
+     * smaller */
+    function replace(path, size, optimizedPath, force, callback) {
+        fs.stat(path, function (error, stats) {
+            fs.stat(optimizedPath, function (optimizedError, optimizedStats) {
+                if (error || optimizedError || stats.size != size || !optimizedStats.size ||
+                    ( !force && optimizedStats.size >= size )) {
+                    fs.unlink(optimizedPath, function () {
+                        callback(error || optimizedError, false);
+                    });
+                } else {
+                    fs.rename(optimizedPath, path, function (error) {
+                        callback(error, !error);
+                    });
+                }
+            });
+        });
+    }
+
+    function canConvert(mimeType, format) {
+        return convertTo.indexOf(format) >= 0 && isAvailable(conversions[format][mimeType]);
+    }
+
+    function readHeader(path, callback) {
+        fs.open(path, 'r', function (error, fd) {
+            if (error) {
+                callback(error);
+                return;
+            }
+            let header = Buffer.alloc(SNIFF_SIZE);
+            fs.read(fd, header, 0, SNIFF_SIZE, 0, function (error, bytesRead) {
+                fs.close(fd, function () {
+                    callback(error, error ? undefined : header.slice(0, bytesRead));
+                });
+            });
+        });
+    }
+
+    /* callback(error, optimized), size is the one the media should have,
+     * it is not optimized if it was changed meanwhile */
+    function optimize(path, size, callback) {
+        fs.stat(path, function (error, stats) {
+            if (error || stats.size != size) {
+                callback(error, false);
+                return;
+            }
+            readHeader(path, function (error, header) {
+                if (error) {
+                    callback(error, false);
+                } else {
+                    optimizeMimeType(path, size, sniffMimeType(header), callback);
+                }
+            });
+        });
+    }
+
+    function optimizeMimeType(path, size, mimeType, callback) {
+        let format = pathParser.extname(path).substr(1);
+        let convert = canConvert(mimeType, format);
+        let steps = convert ? conversions[format][mimeType] : optimizers[mimeType];
+
+        if (isAvailable(steps)) {
+            runSteps(steps, path, function (error, optimizedPath) {
+                if (error) {
+                    callback(error, false);
+                } else {
+                    replace(path, size, optimizedPath, convert, callback);
+                }
+            });
+        } else if (fallbacks[mimeType]) {
+            fs.readFile(path, function (error, content) {
+                let optimizedPath = getTmpPath(path);
+                let optimizedContent;
+                try {
+                    if (error) {
+                        throw error;
+                    }
+                    optimizedContent = fallbacks[mimeType](content);
+                } catch (error) {
+                    callback('Unable to encode ' + path + ': ' + error, false);
+                    return;
+                }
+                fs.writeFile(optimizedPath, optimizedContent, function (error) {
+                    if (error) {
+                        callback(error, false);
+                    } else {
+                        replace(path, size, optimizedPath, false, callback);
+                    }
+                });
+            });
+        } else {
+            log('No optimization for ' + path + ( mimeType ? ' (' + mimeType + ')' : '' ));
+            callback(null, false);
+        }
+    }
+
+    return {
+        init: init,
+        optimize: optimize,
+        canConvert: canConvert
+    };
+}
+
+module.exports = {
+    imageFormats: ['webp', 'avif'],
+    sniffMimeType,
+    createOptimizer
+};
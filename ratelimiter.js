@@ -0,0 +1,169 @@
+"use strict";
+
+/* Rate limiter of the HTTP requests, per class of requests (for example
+ * API, REST and upload). Each class has:
+ *  - a token bucket, limiting the number of requests per second (no
+ *    limit if the rate is 0);
+ *  - an adaptive concurrency limit: halved on errors, throttling or a
+ *    latency far above the usual one, increased again by one for each
+ *    window of successful requests;
+ *  - a pause, if the server asked to retry later.
+ * Tasks are run with run( className, task ); a task gets a release
+ * function to call once with the outcome of its request:
+ *   release( { error: bool, throttled: bool, retryAfter: seconds } ) */
+
+const LATENCY_FACTOR = 3;
+
+function createRateLimiter( options ) {
+    let minConcurrency = options.minConcurrency || 1;
+    let maxConcurrency = Math.max(minConcurrency, options.maxConcurrency || 10);
+    let classes = {};
+
+    Object.keys(options.rates).map(function (name) {
+        classes[name] = {
+            name: name,
+            rate: options.rates[name],
+            tokens: Math.max(1, options.rates[name]),
+            lastRefill: Date.now(),
+            limit: maxConcurrency,
+            inflight: 0,
+            waiting: [],
+            pausedUntil: 0,
+            lastDecrease: 0,
+            latency: undefined,
+            baseline: undefined,
+            timer: undefined
+        };
+    });
+
+    function getClass( name ) {
+        if (!classes[name]) {
+            throw new Error('Unknown class of requests "' + name + '"');
+        }
+        return classes[name];
+    }
+
+    function refill( requestClass ) {
+        let now = Date.now();
+        requestClass.tokens = Math.min(Math.max(1, requestClass.rate),
+            requestClass.tokens + ( now - requestClass.lastRefill ) / 1000 * requestClass.rate);
+        requestClass.lastRefill = now;
+    }
+
+    function wakeUp( requestClass, delay ) {
+        if (!requestClass.timer) {
+            requestClass.timer = setTimeout(function () {
+                requestClass.timer = undefined;
+                dispatch(requestClass);
+            }, Math.ceil(delay));
+        }
+    }
+
+    function dispatch( requestClass ) {
+        while (requestClass.waiting.length && requestClass.inflight < Math.floor(requestClass.limit)) {
+            let now = Date.now();
+            if (now < requestClass.pausedUntil) {
+                wakeUp(requestClass, requestClass.pausedUntil - now);
+                return;
+            }
+            if (requestClass.rate) {
+                refill(requestClass);
+                if (requestClass.tokens < 1) {
+                    wakeUp(requestClass, ( 1 - requestClass.tokens ) / requestClass.rate * 1000);
+                    return;
+                }
+                requestClass.tokens--;
+            }
+            requestClass.inflight++;
+            start(requestClass, requestClass.waiting.shift());
+        }
+    }
+
+    function start( requestClass, task ) {
+        let startTime = Date.now();
+        let released = false;
+        task(function (outcome) {
+            if (!released) {
+                released = true;
+                requestClass.inflight--;
+                adapt(requestClass, outcome || {}, Date.now() - startTime);
+                dispatch(requestClass);
+            }
+        });
+    }
+
+    /* At most once per round trip, requests in flight meanwhile were
+     * sent with the previous limit */
+    function decrease( requestClass ) {
+        let now = Date.now();
+        if (now - requestClass.lastDecrease > ( requestClass.latency || 1000 )) {
+            requestClass.limit = Math.max(minConcurrency, requestClass.limit / 2);
+            requestClass.lastDecrease = now;
+        }
+    }
+
+    function adapt( requestClass, outcome, latency ) {
+        if (outcome.retryAfter) {
+            requestClass.pausedUntil = Math.max(requestClass.pausedUntil, Date.now() + outcome.retryAfter * 1000);
+        }
+        if (outcome.error || outcome.throttled) {
+            decrease(requestClass);
+            return;
+        }
+
+        /* The baseline is the lowest average latency, slowly following
+         * the average if it gets higher */
+        requestClass.latency = requestClass.latency === undefined ? latency : 0.8 * requestClass.latency + 0.2 * latency;
+        requestClass.baseline = requestClass.baseline === undefined ? requestClass.latency :
+            Math.min(requestClass.latency, requestClass.baseline + ( requestClass.latency - requestClass.baseline ) * 0.01);
+
+        if (requestClass.latency > LATENCY_FACTOR * requestClass.baseline) {
+            decrease(requestClass);
+        } else {
+            requestClass.limit = Math.min(maxConcurrency, requestClass.limit + 1 / requestClass.limit);
+        }
+    }
+
+    return {
+        run: function( name, task ) {
+            let requestClass = getClass(name);
+            requestClass.waiting.push(task);
+            dispatch(requestClass);
+        },
+        getConcurrency: function( name ) {
+            return Math.floor(getClass(name).limit);
+        }
+    };
+}
+
+/* Parse "a:1,b:2" to {a: 1, b: 2} */
+function parseRates( value ) {
+    let rates = {};
+    value.split(',').map(function (part) {
+        let parts = part.split(':');
+        let rate = parseFloat(parts[1]);
+        if (parts.length != 2 || isNaN(rate) || rate < 0) {
+            throw new Error('Invalid rate "' + part + '"');
+        }
+        rates[parts[0].trim()] = rate;
+    });
+    return rates;
+}
+
+/* Number of seconds of a Retry-After header, given as a number of
+ * seconds or as a date */
+function parseRetryAfter( value ) {
+    if (!value) {
+        return undefined;
+    } else if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value);
+    }
+    let date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, ( date - Date.now() ) / 1000);
+}
+
+module.exports = {
+    createRateLimiter,
+    parseRates,
+    parseRetryAfter
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathParser = require( 'path' );
+const domino = require( 'domino' );
+const test = require( 'tape' );
+const cleanuprules = require( '../cleanuprules' );
+
+function getTmpPath( name ) {
+    return pathParser.join(fs.mkdtempSync(pathParser.join(os.tmpdir(), 'mwoffliner-')), name);
+}
+
+function clean( html, rules ) {
+    let doc = domino.createDocument('<body>' + html + '</body>');
+    cleanuprules.applyCleanupRules(doc, rules);
+    return doc.body.innerHTML;
+}
+
+test('rules are applied by action: keep, remove, unwrap, stripClass, display', function (t) {
+    /* Given in the reverse order of their actions */
+    let rules = [
+        {action: 'display', class: 'thumb'},
+        {action: 'stripClass', class: 'plain'},
+        {action: 'unwrap', class: 'wrapper'},
+        {action: 'remove', class: 'noprint'},
+        {action: 'keep', id: 'kept'}
+    ];
+    t.equal(clean('<div id="kept" class="noprint wrapper plain">a</div>', rules),
+        '<div id="kept" class="noprint wrapper plain">a</div>', 'kept nodes are not removed, unwrapped nor stripped');
+    t.equal(clean('<div class="noprint wrapper">a</div><span class="wrapper"><b class="plain">b</b></span>', rules),
+        '<b class="">b</b>', 'removed, then unwrapped and stripped');
+    t.equal(clean('<div class="thumb noprint" style="display:none">a</div><div class="thumb" style="display:none">b</div>', rules),
+        '<div class="thumb" style="">b</div>', 'displayed after the removals');
+    t.equal(clean('<div id="kept" class="thumb" style="display:none">a</div>', rules),
+        '<div id="kept" class="thumb" style="">a</div>', 'kept nodes are displayed by a display rule');
+    t.end();
+});
+
+test('matchers', function (t) {
+    t.equal(clean('<p class="hatnote"><a href="#">a</a></p><p class="hatnote">b</p>', [{action: 'remove', class: 'hatnote', ifNoLink: true}]),
+        '<p class="hatnote"><a href="#">a</a></p>', 'only without links');
+    t.equal(clean('<p id="x&quot;y">a</p><p>b</p>', [{action: 'remove', id: 'x"y'}]), '<p>b</p>', 'by id');
+    t.equal(clean('<ul><li>a</li></ul><p>b</p>', [{action: 'remove', selector: 'ul > li'}]), '<ul></ul><p>b</p>', 'by selector');
+    t.equal(clean('<p>a</p><div about="#mwt1" data-mw=\'{"parts":[{"template":{"target":{"wt":"template:coord_missing"}}}]}\'>b</div>' +
+        '<span about="#mwt1">c</span><p>d</p>', [{action: 'remove', template: 'Coord missing'}]), '<p>a</p><p>d</p>', 'by template, with its siblings');
+    t.end();
+});
+
+test('rules files and presets', function (t) {
+    let rules = cleanuprules.loadCleanupRules('wikipedia');
+    t.ok(rules.some(function (rule) {
+        return rule.action == 'display' && rule.class == 'thumb';
+    }), 'presets extend the default one');
+    t.equal(cleanuprules.getPresetForHost('fr.wikipedia.org'), 'wikipedia');
+    t.equal(cleanuprules.getPresetForHost('wiki.example.org'), 'default');
+
+    let path = getTmpPath('rules.json');
+    fs.writeFileSync(path, JSON.stringify({extends: ['default'], rules: [{action: 'remove', class: 'foo'}]}));
+    rules = cleanuprules.loadCleanupRules(path);
+    t.deepEqual(rules[rules.length - 1], {action: 'remove', class: 'foo'}, 'rules of the file come after the presets');
+
+    fs.writeFileSync(path, JSON.stringify({rules: [{action: 'hide', class: 'foo'}]}));
+    t.throws(function () {
+        cleanuprules.loadCleanupRules(path);
+    }, /Unknown action "hide"/);
+    fs.writeFileSync(path, JSON.stringify({rules: [{action: 'remove', class: 'foo', id: 'bar'}]}));
+    t.throws(function () {
+        cleanuprules.loadCleanupRules(path);
+    }, /should have one of/);
+    fs.writeFileSync(path, JSON.stringify({extends: [path]}));
+    t.throws(function () {
+        cleanuprules.loadCleanupRules(path);
+    }, /extend themselves/);
+    t.throws(function () {
+        cleanuprules.loadCleanupRules('nonexistent');
+    }, /No rules file/);
+    t.end();
+});
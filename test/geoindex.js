@@ -0,0 +1,80 @@
+"use strict";
+
+const test = require( 'tape' );
+const geoindex = require( '../geoindex' );
+
+test('parseCoordinates', function (t) {
+    t.deepEqual(geoindex.parseCoordinates('48.85;2.35'), {lat: 48.85, lon: 2.35});
+    t.deepEqual(geoindex.parseCoordinates('-90;180'), {lat: -90, lon: 180}, 'bounds');
+    ['', undefined, '48.85', '91;0', '0;181', 'a;b'].map(function (value) {
+        t.equal(geoindex.parseCoordinates(value), undefined, JSON.stringify(value) + ' is invalid');
+    });
+    t.end();
+});
+
+test('nearby articles', function (t) {
+    let index = geoindex.createGeoIndex(1);
+    index.add('Paris', 48.8566, 2.3522);
+    index.add('Versailles', 48.8049, 2.1204);
+    index.add('Lyon', 45.764, 4.8357);
+    t.equal(index.getCount(), 3, 'count');
+    let nearby = index.getNearby(48.8566, 2.3522, 10, 'Paris');
+    t.deepEqual(nearby.map(function (article) {
+        return article.id;
+    }), ['Versailles'], 'in the cells around, without the excluded article');
+    t.ok(Math.abs(nearby[0].distance - 18) < 1, 'distance in kilometers');
+    t.equal(index.getNearby(48.8, 2.2, 1).length, 1, 'at most count');
+    t.end();
+});
+
+test('longitudes wrap around the antimeridian', function (t) {
+    let index = geoindex.createGeoIndex(1);
+    index.add('East', -17.5, 179.5);
+    index.add('Antimeridian', -17.5, 180);
+    index.add('West', -17.5, -179.5);
+    t.deepEqual(index.getNearby(-17.5, -179.9, 10).map(function (article) {
+        return article.id;
+    }), ['Antimeridian', 'West', 'East'], 'from the west');
+    t.deepEqual(index.getNearby(-17.5, 179.9, 10).map(function (article) {
+        return article.id;
+    }), ['Antimeridian', 'East', 'West'], 'from the east');
+    t.end();
+});
+
+test('binary index layout', function (t) {
+    let index = geoindex.createGeoIndex(0.5);
+    index.add('A', 10.2, 180);
+    index.add('B', -5.1, 20.7);
+    index.add('C', 10.4, -179.9);
+    let buffer = index.toBinary();
+
+    t.equal(buffer.toString('latin1', 0, 4), 'MWGI', 'magic');
+    t.equal(buffer.readUInt8(4), 1, 'version');
+    t.equal(buffer.readFloatLE(5), 0.5, 'cell size');
+    t.equal(buffer.readUInt32LE(9), 3, 'number of articles');
+    t.equal(buffer.readUInt32LE(13), 2, 'number of cells, 180 in the cell of -180');
+    t.equal(buffer.length, 17 + 2 * 12 + 3 * 12, 'size');
+
+    /* Cells sorted by latitude then longitude */
+    t.deepEqual([buffer.readInt16LE(17), buffer.readInt16LE(19), buffer.readUInt32LE(21), buffer.readUInt32LE(25)],
+        [-11, 41, 0, 1], 'first cell');
+    t.deepEqual([buffer.readInt16LE(29), buffer.readInt16LE(31), buffer.readUInt32LE(33), buffer.readUInt32LE(37)],
+        [20, -360, 1, 2], 'second cell');
+
+    /* Articles grouped by cell, with the index of their GeoJSON feature */
+    let articles = [0, 1, 2].map(function (i) {
+        let offset = 17 + 2 * 12 + i * 12;
+        return [Math.round(buffer.readFloatLE(offset) * 10) / 10, Math.round(buffer.readFloatLE(offset + 4) * 10) / 10, buffer.readUInt32LE(offset + 8)];
+    });
+    t.deepEqual(articles, [[-5.1, 20.7, 1], [10.2, 180, 0], [10.4, -179.9, 2]], 'articles');
+
+    let geoJson = JSON.parse(index.toGeoJson(function (id) {
+        return id + '.html';
+    }));
+    t.deepEqual(geoJson.features[1], {
+        type: 'Feature',
+        geometry: {type: 'Point', coordinates: [20.7, -5.1]},
+        properties: {title: 'B', url: 'B.html'}
+    }, 'GeoJSON feature');
+    t.end();
+});
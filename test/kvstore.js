@@ -0,0 +1,76 @@
+"use strict";
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathParser = require( 'path' );
+const test = require( 'tape' );
+const kvstore = require( '../kvstore' );
+
+function getTmpPath( name ) {
+    return pathParser.join(fs.mkdtempSync(pathParser.join(os.tmpdir(), 'mwoffliner-')), name);
+}
+
+test('memory store hashes', function (t) {
+    let store = kvstore.createKvStore('memory');
+    store.hmset('h', {a: 1}, function () {
+        store.hset('h', 'constructor', 'x', function () {
+            store.hmget('h', ['a', 'b', 'constructor'], function (error, values) {
+                t.deepEqual(values, ['1', null, 'x'], 'values are strings, null if missing');
+                store.hkeys('h', function (error, keys) {
+                    t.deepEqual(keys.sort(), ['a', 'constructor'], 'keys');
+                    store.hget('h', 'toString', function (error, value) {
+                        t.equal(value, null, 'no inherited keys');
+                        store.del('h', function () {
+                            store.hgetall('h', function (error, entries) {
+                                t.equal(entries, null, 'deleted hash');
+                                t.end();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('file store replays and compacts its journal', function (t) {
+    let path = getTmpPath('kvstore.jsonl');
+    let store = kvstore.createKvStore('file', {path: path});
+    store.hset('h', 'a', '1');
+    store.hset('h', 'b', '2');
+    store.hset('h', 'a', '3');
+    store.hdel('h', 'b');
+    store.hset('g', 'c', '4');
+    store.del('g');
+    store.hset('h', '__proto__', '5', function () {
+        store.quit(function () {
+            t.equal(fs.readFileSync(path).toString().split('\n').length - 1, 7, 'every modification is journaled');
+
+            /* Truncated last line of a crashed run */
+            fs.appendFileSync(path, '["hset","h"');
+
+            let reopened = kvstore.createKvStore('file', {path: path});
+            t.deepEqual(fs.readFileSync(path).toString().split('\n').filter(Boolean).map(JSON.parse), [
+                ['hset', 'h', 'a', '3'],
+                ['hset', 'h', '__proto__', '5']
+            ], 'journal compacted at opening');
+            reopened.hgetall('h', function (error, entries) {
+                t.deepEqual(Object.keys(entries), ['a', '__proto__'], 'replayed keys');
+                t.equal(entries.a, '3', 'replayed value');
+                reopened.hgetall('g', function (error, entries) {
+                    t.equal(entries, null, 'replayed deletion');
+                    reopened.quit(function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('unknown store type', function (t) {
+    t.throws(function () {
+        kvstore.createKvStore('foo');
+    }, /Unknown key-value store type/);
+    t.end();
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const zlib = require( 'zlib' );
+const pathParser = require( 'path' );
+const test = require( 'tape' );
+const manifest = require( '../manifest' );
+
+function getTmpPath( name ) {
+    return pathParser.join(fs.mkdtempSync(pathParser.join(os.tmpdir(), 'mwoffliner-')), name);
+}
+
+function writeManifest( path, callback ) {
+    let writer = manifest.createManifestWriter(path, {date: '2016-06-01T00:00:00.000Z', mwUrl: 'https://en.wikipedia.org/'});
+    writer.addArticle('Paris', 1234, {g: '48.85;2.35'});
+    writer.addArticle('Lyon', 5678);
+    writer.addRedirect('Paname', 'Paris');
+    writer.addMedia('Paris.jpg', 640);
+    writer.addMedia('Lyon.svg');
+    writer.end(callback);
+}
+
+function checkManifest( t, content ) {
+    t.deepEqual(content, {
+        header: {date: '2016-06-01T00:00:00.000Z', mwUrl: 'https://en.wikipedia.org/'},
+        articles: {Paris: {revid: 1234, details: {g: '48.85;2.35'}}, Lyon: {revid: 5678, details: {}}},
+        redirects: {Paname: 'Paris'},
+        media: {'Paris.jpg': 640, 'Lyon.svg': null}
+    });
+}
+
+test('plain manifest', function (t) {
+    let path = getTmpPath('manifest.jsonl');
+    writeManifest(path, function (error) {
+        t.error(error, 'written');
+        let lines = fs.readFileSync(path).toString().split('\n');
+        t.equal(lines.length, 7, 'header and one line per entry');
+        t.deepEqual(JSON.parse(lines[3]), {id: 'Paname', redirect: 'Paris'}, 'redirect line');
+        manifest.readManifest(path, function (error, content) {
+            t.error(error, 'read');
+            checkManifest(t, content);
+            t.end();
+        });
+    });
+});
+
+test('gzipped manifest', function (t) {
+    let path = getTmpPath('manifest.jsonl.gz');
+    writeManifest(path, function (error) {
+        t.error(error, 'written');
+        t.equal(JSON.parse(zlib.gunzipSync(fs.readFileSync(path)).toString().split('\n')[0]).mwUrl, 'https://en.wikipedia.org/', 'gzipped');
+        manifest.readManifest(path, function (error, content) {
+            t.error(error, 'read');
+            checkManifest(t, content);
+            t.end();
+        });
+    });
+});
+
+test('invalid manifests', function (t) {
+    let path = getTmpPath('manifest.jsonl');
+    fs.writeFileSync(path, '{"date": "2016-06-01"}\nnot json\n');
+    manifest.readManifest(path, function (error) {
+        t.ok(/Unable to parse manifest/.test(error), 'unparsable line');
+        manifest.readManifest(path + '.missing', function (error) {
+            t.equal(error.code, 'ENOENT', 'missing file');
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+const test = require( 'tape' );
+const optimizer = require( '../optimizer' );
+
+function fromHex( hex ) {
+    return Buffer.from(hex, 'hex');
+}
+
+function fromLatin1( string ) {
+    return Buffer.from(string, 'latin1');
+}
+
+test('sniffMimeType of images', function (t) {
+    t.equal(optimizer.sniffMimeType(fromHex('ffd8ffe000104a464946')), 'image/jpeg', 'JPEG');
+    t.equal(optimizer.sniffMimeType(fromHex('89504e470d0a1a0a0000000d49484452')), 'image/png', 'PNG');
+    t.equal(optimizer.sniffMimeType(fromLatin1('GIF89a\x01\x00')), 'image/gif', 'GIF');
+    t.equal(optimizer.sniffMimeType(fromLatin1('RIFF\x00\x00\x00\x00WEBPVP8 ')), 'image/webp', 'WebP');
+    t.equal(optimizer.sniffMimeType(fromLatin1('\x00\x00\x00\x1cftypavif\x00\x00\x00\x00')), 'image/avif', 'AVIF');
+    t.equal(optimizer.sniffMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'image/svg+xml', 'SVG');
+    t.equal(optimizer.sniffMimeType(Buffer.from('<?xml version="1.0"?>\n<!-- Created -->\n' +
+        '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n<svg>')), 'image/svg+xml', 'SVG with prolog');
+    t.end();
+});
+
+test('sniffMimeType of videos and sounds', function (t) {
+    t.equal(optimizer.sniffMimeType(fromLatin1('\x00\x00\x00\x18ftypmp42')), 'video/mp4', 'MP4');
+    t.equal(optimizer.sniffMimeType(fromLatin1('\x00\x00\x00\x18ftypM4A ')), 'audio/mp4', 'M4A');
+    t.equal(optimizer.sniffMimeType(fromHex('1a45dfa39f4286810142f7')), 'video/webm', 'WebM');
+    t.equal(optimizer.sniffMimeType(fromLatin1('OggS\x00\x02' + '\x00'.repeat(22) + 'OpusHead')), 'audio/opus', 'Opus');
+    t.equal(optimizer.sniffMimeType(fromLatin1('OggS\x00\x02' + '\x00'.repeat(22) + '\x80theora')), 'video/ogg', 'Theora');
+    t.equal(optimizer.sniffMimeType(fromLatin1('OggS\x00\x02' + '\x00'.repeat(22) + '\x01vorbis')), 'audio/ogg', 'Vorbis');
+    t.equal(optimizer.sniffMimeType(fromLatin1('fLaC\x00\x00\x00\x22')), 'audio/flac', 'FLAC');
+    t.equal(optimizer.sniffMimeType(fromLatin1('RIFF\x00\x00\x00\x00WAVEfmt ')), 'audio/wav', 'WAV');
+    t.equal(optimizer.sniffMimeType(fromLatin1('ID3\x03\x00')), 'audio/mpeg', 'MP3 with ID3');
+    t.equal(optimizer.sniffMimeType(fromHex('fffb9064')), 'audio/mpeg', 'MP3 frame');
+    t.equal(optimizer.sniffMimeType(fromHex('000001ba44000400')), 'video/mpeg', 'MPEG');
+    t.end();
+});
+
+test('sniffMimeType of unknown content', function (t) {
+    t.equal(optimizer.sniffMimeType(Buffer.alloc(0)), undefined, 'empty');
+    t.equal(optimizer.sniffMimeType(Buffer.from('<html><body></body></html>')), undefined, 'HTML');
+    t.equal(optimizer.sniffMimeType(Buffer.from('hello')), undefined, 'text');
+    t.end();
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require( 'tape' );
+const ratelimiter = require( '../ratelimiter' );
+
+test('parseRates', function (t) {
+    t.deepEqual(ratelimiter.parseRates('api:20,rest:100, upload:0.5'), {api: 20, rest: 100, upload: 0.5});
+    t.deepEqual(ratelimiter.parseRates('api:0'), {api: 0}, 'no limit');
+    ['api', 'api:', 'api:-1', 'api:x', 'api:1:2'].map(function (value) {
+        t.throws(function () {
+            ratelimiter.parseRates(value);
+        }, /Invalid rate/, value + ' is invalid');
+    });
+    t.end();
+});
+
+test('parseRetryAfter', function (t) {
+    t.equal(ratelimiter.parseRetryAfter(undefined), undefined, 'no header');
+    t.equal(ratelimiter.parseRetryAfter('120'), 120, 'seconds');
+    t.equal(ratelimiter.parseRetryAfter(' 5 '), 5, 'seconds with spaces');
+    t.equal(ratelimiter.parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0, 'past date');
+    let retryAfter = ratelimiter.parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    t.ok(retryAfter > 55 && retryAfter <= 60, 'future date');
+    t.equal(ratelimiter.parseRetryAfter('soon'), undefined, 'invalid');
+    t.end();
+});
+
+test('concurrency is halved on errors and the slot released once', function (t) {
+    let limiter = ratelimiter.createRateLimiter({rates: {api: 0}, maxConcurrency: 4});
+    let started = 0;
+    t.equal(limiter.getConcurrency('api'), 4, 'initial concurrency');
+    limiter.run('api', function (release) {
+        started++;
+        release({error: true});
+        release({error: true});
+        t.equal(limiter.getConcurrency('api'), 2, 'halved');
+        limiter.run('api', function (release) {
+            started++;
+            release();
+            t.equal(started, 2, 'next task started');
+            t.end();
+        });
+    });
+});
+
+test('unknown class of requests', function (t) {
+    let limiter = ratelimiter.createRateLimiter({rates: {api: 1}});
+    t.throws(function () {
+        limiter.run('foo', function () {
+        });
+    }, /Unknown class of requests/);
+    t.end();
+});
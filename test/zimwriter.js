@@ -0,0 +1,114 @@
+"use strict";
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const pathParser = require( 'path' );
+const test = require( 'tape' );
+const zimwriter = require( '../zimwriter' );
+
+function getTmpPath( name ) {
+    return pathParser.join(fs.mkdtempSync(pathParser.join(os.tmpdir(), 'mwoffliner-')), name);
+}
+
+function readUInt64LE( buffer, offset ) {
+    return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+}
+
+function readString( buffer, offset ) {
+    let end = buffer.indexOf(0, offset);
+    return {value: buffer.toString('utf8', offset, end), end: end + 1};
+}
+
+/* Minimal reader of the entries of an uncompressed ZIM file */
+function readZim( path ) {
+    let data = fs.readFileSync(path);
+    let zim = {
+        magic: data.readUInt32LE(0),
+        majorVersion: data.readUInt16LE(4),
+        articleCount: data.readUInt32LE(24),
+        clusterCount: data.readUInt32LE(28),
+        mainPage: data.readUInt32LE(64),
+        mimeTypes: [],
+        entries: []
+    };
+
+    let offset = readUInt64LE(data, 56);
+    for (let mimeType = readString(data, offset); mimeType.value; mimeType = readString(data, offset)) {
+        zim.mimeTypes.push(mimeType.value);
+        offset = mimeType.end;
+    }
+
+    let urlPtrPos = readUInt64LE(data, 32);
+    let clusterPtrPos = readUInt64LE(data, 48);
+    for (let i = 0; i < zim.articleCount; i++) {
+        let position = readUInt64LE(data, urlPtrPos + 8 * i);
+        let mimeType = data.readUInt16LE(position);
+        let entry = {namespace: data.toString('ascii', position + 3, position + 4)};
+        let url;
+        if (mimeType == 0xffff) {
+            entry.redirect = data.readUInt32LE(position + 8);
+            url = readString(data, position + 12);
+        } else {
+            let clusterPos = readUInt64LE(data, clusterPtrPos + 8 * data.readUInt32LE(position + 8));
+            let blob = data.readUInt32LE(position + 12);
+            let blobStart = clusterPos + 1 + data.readUInt32LE(clusterPos + 1 + 4 * blob);
+            let blobEnd = clusterPos + 1 + data.readUInt32LE(clusterPos + 1 + 4 * ( blob + 1 ));
+            entry.mimeType = zim.mimeTypes[mimeType];
+            entry.content = data.toString('utf8', blobStart, blobEnd);
+            url = readString(data, position + 16);
+        }
+        entry.url = url.value;
+        entry.title = readString(data, url.end).value;
+        zim.entries.push(entry);
+    }
+    return zim;
+}
+
+test('MIME types', function (t) {
+    t.equal(zimwriter.getMimeType('A/Foo.HTML'), 'text/html');
+    t.equal(zimwriter.getMimeType('I/m/bar'), 'application/octet-stream');
+    t.equal(zimwriter.formatCounter({'text/html': 2, 'image/png': 1}), 'image/png=1;text/html=2');
+    t.end();
+});
+
+test('ZIM header and directory entries round-trip, with redirects', function (t) {
+    let path = getTmpPath('test.zim');
+    let writer = zimwriter.createZimWriter({path: path, compression: 'none', mainPage: {namespace: 'A', url: 'Main'}});
+    writer.addArticle({namespace: 'A', url: 'Main', title: 'Main page', mimeType: 'text/html', content: '<p>main</p>'});
+    writer.addArticle({namespace: 'A', url: 'Beta', mimeType: 'text/html', content: 'beta'});
+    writer.addRedirect({namespace: 'A', url: 'Chain', targetUrl: 'Alias'});
+    writer.addRedirect({namespace: 'A', url: 'Alias', targetUrl: 'Beta'});
+    writer.addRedirect({namespace: 'A', url: 'Dangling', targetUrl: 'Zeta'});
+    writer.addRedirect({namespace: 'A', url: 'Broken', targetUrl: 'Dangling'});
+    writer.addRedirect({namespace: 'A', url: 'Loop1', targetUrl: 'Loop2'});
+    writer.addRedirect({namespace: 'A', url: 'Loop2', targetUrl: 'Loop1'});
+    writer.addMetadata('Title', 'Test');
+    t.equal(writer.getCounter(), 'text/html=2', 'counter of the content entries');
+
+    writer.finalize(function (error) {
+        t.error(error, 'finalized');
+        let zim = readZim(path);
+        t.equal(zim.magic, 72173914, 'magic number');
+        t.equal(zim.majorVersion, 5, 'major version');
+        t.deepEqual(zim.entries.map(function (entry) {
+            return entry.namespace + '/' + entry.url;
+        }), ['A/Alias', 'A/Beta', 'A/Chain', 'A/Main', 'M/Title'], 'entries sorted by url, without broken redirects');
+        t.equal(zim.articleCount, 5, 'article count');
+        t.equal(zim.entries[zim.mainPage].url, 'Main', 'main page');
+        t.equal(zim.entries[0].redirect, 1, 'redirect to its target');
+        t.equal(zim.entries[2].redirect, 1, 'redirect chain resolved to the content entry');
+        t.equal(zim.entries[1].content, 'beta', 'content');
+        t.equal(zim.entries[1].mimeType, 'text/html', 'MIME type');
+        t.equal(zim.entries[3].title, 'Main page', 'title');
+        t.equal(zim.entries[4].content, 'Test', 'metadata');
+        t.notOk(fs.existsSync(path + '.clusters'), 'temporary cluster file removed');
+        t.end();
+    });
+});
+
+test('unknown compression', function (t) {
+    t.throws(function () {
+        zimwriter.createZimWriter({path: getTmpPath('test.zim'), compression: 'foo'});
+    }, /Unknown ZIM compression/);
+    t.end();
+});
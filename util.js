@@ -80,6 +80,14 @@ function charAt( str, idx ) {
     return ret;
 }
 
+function escapeHtml( str ) {
+    return ( str === undefined || str === null ? '' : str + '' )
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function validateEmail( email ) {
     let emailRegex = /^(([^<>()[\]\\.,;:\s@\"]+(\.[^<>()[\]\\.,;:\s@\"]+)*)|(\".+\"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
     return emailRegex.test(email);
@@ -94,5 +102,6 @@ module.exports = {
     ucFirst,
     myDecodeURIComponent,
     charAt,
+    escapeHtml,
     validateEmail
 };
\ No newline at end of file
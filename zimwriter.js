@@ -0,0 +1,482 @@
+"use strict";
+
+const fs = require( 'fs' );
+const crypto = require( 'crypto' );
+const spawn = require( 'child_process' ).spawn;
+const async = require( 'async' );
+
+/* Native ZIM file writer (see http://www.openzim.org/wiki/ZIM_file_format).
+ *
+ * Entries are appended to clusters as they come; full clusters are
+ * compressed and written to a temporary file straight away, so only the
+ * directory entries stay in memory. finalize() sorts the directory
+ * entries and writes the header, the MIME type list, the URL/title
+ * pointer lists, the directory entries, the clusters and the MD5
+ * checksum to the ZIM file.
+ *
+ * Text clusters are compressed with xz (lzma) or zstd, using the
+ * binaries of the same name; binary content (images, media, ...) is
+ * stored uncompressed. */
+
+const ZIM_MAGIC_NUMBER = 72173914;
+const ZIM_MAJOR_VERSION = 5;
+const ZIM_MINOR_VERSION = 0;
+const HEADER_SIZE = 80;
+const NO_PAGE = 0xffffffff;
+const REDIRECT_MIME_TYPE = 0xffff;
+
+const compressionTypes = {
+    'none': { id: 1 },
+    'xz': { id: 4, command: 'xz', args: [ '-c', '-9e', '--check=crc32' ] },
+    'zstd': { id: 5, command: 'zstd', args: [ '-c', '-q', '-19' ] }
+};
+
+/* Maximum number of full clusters waiting to be compressed */
+const MAX_PENDING_CLUSTERS = 4;
+
+const mimeTypesByExtension = {
+    'html': 'text/html', 'htm': 'text/html', 'css': 'text/css', 'js': 'application/javascript',
+    'json': 'application/json', 'geojson': 'application/geo+json', 'txt': 'text/plain', 'svg': 'image/svg+xml', 'png': 'image/png',
+    'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'gif': 'image/gif', 'webp': 'image/webp', 'avif': 'image/avif',
+    'ogg': 'audio/ogg', 'oga': 'audio/ogg', 'opus': 'audio/ogg', 'mp3': 'audio/mpeg', 'wav': 'audio/wav',
+    'flac': 'audio/flac', 'm4a': 'audio/mp4', 'ogv': 'video/ogg', 'webm': 'video/webm', 'mp4': 'video/mp4',
+    'mpg': 'video/mpeg', 'mpeg': 'video/mpeg', 'vtt': 'text/vtt',
+    'woff': 'font/woff', 'woff2': 'font/woff2', 'ttf': 'font/ttf'
+};
+
+function getMimeType( path ) {
+    let ext = ( path.split('.').pop() || '' ).toLowerCase();
+    return mimeTypesByExtension[ext] || 'application/octet-stream';
+}
+
+/* Format a number of entries per MIME type as the Counter metadata */
+function formatCounter( counter ) {
+    return Object.keys(counter).sort().map(function (mimeType) {
+        return mimeType + '=' + counter[mimeType];
+    }).join(';');
+}
+
+function isCompressible( mimeType ) {
+    return /^text\//.test(mimeType) || /(json|javascript|xml)/.test(mimeType);
+}
+
+function compress( data, compression, callback ) {
+    let type = compressionTypes[compression];
+    if (!type.command) {
+        return setImmediate(callback, null, data);
+    }
+
+    let chunks = [];
+    let called = false;
+    let proc = spawn(type.command, type.args);
+    function done( error, result ) {
+        if (!called) {
+            called = true;
+            callback(error, result);
+        }
+    }
+    proc.on('error', done);
+    proc.stdout.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    proc.on('close', function (code) {
+        done(code !== 0 ? 'Error compressing a cluster with ' + type.command : null, Buffer.concat(chunks));
+    });
+    proc.stdin.end(data);
+}
+
+function serializeCluster( blobs, compression, callback ) {
+    let offsets = Buffer.alloc(4 * ( blobs.length + 1 ));
+    let offset = offsets.length;
+    blobs.map(function (blob, i) {
+        offsets.writeUInt32LE(offset, 4 * i);
+        offset += blob.length;
+    });
+    offsets.writeUInt32LE(offset, 4 * blobs.length);
+
+    compress(Buffer.concat([offsets].concat(blobs)), compression, function (error, data) {
+        let info = Buffer.alloc(1);
+        info.writeUInt8(compressionTypes[compression].id, 0);
+        callback(error, Buffer.concat([info, data]));
+    });
+}
+
+function writeUInt64LE( buffer, value, offset ) {
+    buffer.writeUInt32LE(value % 0x100000000, offset);
+    buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+}
+
+function compareKeys( a, b ) {
+    return Buffer.compare(a, b);
+}
+
+function createZimWriter( options ) {
+    let path = options.path;
+    let clusterFilePath = ( options.tmpPath || path ) + '.clusters';
+    let compression = options.compression || 'xz';
+    let clusterSize = options.clusterSize || 1024 * 1024;
+    let mainPage = options.mainPage;
+
+    if (!compressionTypes[compression]) {
+        throw new Error('Unknown ZIM compression "' + compression + '"');
+    }
+
+    let entries = {};
+    let mimeTypes = [];
+    let clusterOffsets = [];
+    let clusterFileSize = 0;
+    let clusterFile = fs.openSync(clusterFilePath, 'w');
+    let openClusters = {};
+    let writeError;
+
+    /* Clusters are serialized one after the other, to keep their order
+     * in the temporary file */
+    let clusterQueue = async.queue(function (cluster, finished) {
+        serializeCluster(cluster.blobs, cluster.compression, function (error, data) {
+            if (error) {
+                writeError = error;
+                finished();
+                return;
+            }
+            fs.write(clusterFile, data, 0, data.length, clusterFileSize, function (error) {
+                if (error) {
+                    writeError = error;
+                } else {
+                    clusterOffsets[cluster.number] = clusterFileSize;
+                    clusterFileSize += data.length;
+                }
+                finished();
+            });
+        });
+    }, 1);
+
+    function getMimeTypeIndex( mimeType ) {
+        let index = mimeTypes.indexOf(mimeType);
+        if (index < 0) {
+            index = mimeTypes.push(mimeType) - 1;
+        }
+        return index;
+    }
+
+    function flushCluster( kind ) {
+        let cluster = openClusters[kind];
+        if (cluster && cluster.blobs.length) {
+            cluster.number = clusterOffsets.length;
+            clusterOffsets.push(undefined);
+            cluster.entries.map(function (entry) {
+                entry.cluster = cluster.number;
+            });
+            delete openClusters[kind];
+            clusterQueue.push(cluster);
+        }
+    }
+
+    function addEntry( entry ) {
+        let key = entry.namespace + '/' + entry.url;
+        entries[key] = entry;
+    }
+
+    /* Add a content entry: {namespace, url, title, mimeType, content} */
+    function addArticle( article, callback ) {
+        let content = Buffer.isBuffer(article.content) ? article.content : Buffer.from(article.content + '');
+        let mimeType = article.mimeType || getMimeType(article.url);
+        let kind = isCompressible(mimeType) ? compression : 'none';
+        let cluster = openClusters[kind] = openClusters[kind] || {compression: kind, blobs: [], entries: [], size: 0};
+        let entry = {
+            namespace: article.namespace,
+            url: article.url,
+            title: article.title || '',
+            mimeType: getMimeTypeIndex(mimeType),
+            blob: cluster.blobs.length
+        };
+
+        cluster.blobs.push(content);
+        cluster.entries.push(entry);
+        cluster.size += content.length;
+        addEntry(entry);
+
+        if (cluster.size >= clusterSize) {
+            flushCluster(kind);
+        }
+
+        /* Back pressure, do not keep too many clusters in memory */
+        if (callback) {
+            async.whilst(
+                function () {
+                    return clusterQueue.length() > MAX_PENDING_CLUSTERS;
+                },
+                function (finished) {
+                    setTimeout(finished, 100);
+                },
+                function () {
+                    callback(writeError);
+                });
+        }
+    }
+
+    /* Add a content entry read from a file: {namespace, url, title, mimeType, path} */
+    function addFile( file, callback ) {
+        fs.readFile(file.path, function (error, content) {
+            if (error) {
+                callback(error);
+            } else {
+                addArticle({
+                    namespace: file.namespace,
+                    url: file.url,
+                    title: file.title,
+                    mimeType: file.mimeType || getMimeType(file.url),
+                    content: content
+                }, callback);
+            }
+        });
+    }
+
+    /* Add a redirect entry: {namespace, url, title, targetNamespace, targetUrl} */
+    function addRedirect( redirect ) {
+        addEntry({
+            namespace: redirect.namespace,
+            url: redirect.url,
+            title: redirect.title || '',
+            mimeType: REDIRECT_MIME_TYPE,
+            target: ( redirect.targetNamespace || redirect.namespace ) + '/' + redirect.targetUrl
+        });
+    }
+
+    function addMetadata( name, value ) {
+        if (value !== undefined && value !== '') {
+            addArticle({namespace: 'M', url: name, mimeType: Buffer.isBuffer(value) ? 'image/png' : 'text/plain', content: value});
+        }
+    }
+
+    /* Number of content entries per MIME type */
+    function getCounter() {
+        let counter = {};
+        Object.keys(entries).map(function (key) {
+            let entry = entries[key];
+            if (entry.mimeType !== REDIRECT_MIME_TYPE && entry.namespace !== 'M') {
+                let mimeType = mimeTypes[entry.mimeType];
+                counter[mimeType] = ( counter[mimeType] || 0 ) + 1;
+            }
+        });
+        return formatCounter(counter);
+    }
+
+    function serializeDirent( entry, urlIndexes ) {
+        let url = Buffer.from(entry.url + '\0');
+        let title = Buffer.from(( entry.title == entry.url ? '' : entry.title ) + '\0');
+        let isRedirect = entry.mimeType === REDIRECT_MIME_TYPE;
+        let head = Buffer.alloc(isRedirect ? 12 : 16);
+
+        head.writeUInt16LE(entry.mimeType, 0);
+        head.writeUInt8(0, 2);
+        head.write(entry.namespace, 3, 1, 'ascii');
+        head.writeUInt32LE(0, 4);
+        if (isRedirect) {
+            if (!urlIndexes.hasOwnProperty(entry.target)) {
+                throw new Error('Unknown target ' + entry.target + ' of the redirect ' + entry.namespace + '/' + entry.url);
+            }
+            head.writeUInt32LE(urlIndexes[entry.target], 8);
+        } else {
+            head.writeUInt32LE(entry.cluster, 8);
+            head.writeUInt32LE(entry.blob, 12);
+        }
+
+        return Buffer.concat([head, url, title]);
+    }
+
+    function finalize( callback ) {
+        flushCluster('none');
+        flushCluster(compression);
+
+        function waitClusters( finished ) {
+            if (clusterQueue.idle()) {
+                finished();
+            } else {
+                clusterQueue.drain = function () {
+                    clusterQueue.drain = undefined;
+                    finished();
+                };
+            }
+        }
+
+        waitClusters(function () {
+            if (writeError) {
+                callback(writeError);
+                return;
+            }
+
+            /* Redirects point straight at the content entry at the end of
+             * their chain, the ones to missing entries or in a loop are
+             * dropped */
+            Object.keys(entries).map(function (key) {
+                let entry = entries[key];
+                let visited = [key];
+                let target = entry.target;
+                while (target && entries[target] && entries[target].target && visited.indexOf(target) < 0) {
+                    visited.push(target);
+                    target = entries[target].target;
+                }
+                if (target && ( !entries[target] || entries[target].target )) {
+                    delete entries[key];
+                } else if (target) {
+                    entry.target = target;
+                }
+            });
+
+            /* Directory entries sorted by namespace and url, titles by namespace and title */
+            let sortKeys = {};
+            let urlSorted = Object.keys(entries).sort(function (a, b) {
+                sortKeys[a] = sortKeys[a] || Buffer.from(a.replace('/', ''));
+                sortKeys[b] = sortKeys[b] || Buffer.from(b.replace('/', ''));
+                return compareKeys(sortKeys[a], sortKeys[b]);
+            });
+            let urlIndexes = {};
+            urlSorted.map(function (key, index) {
+                urlIndexes[key] = index;
+            });
+            let titleKeys = urlSorted.map(function (key) {
+                let entry = entries[key];
+                return Buffer.from(entry.namespace + ( entry.title || entry.url ));
+            });
+            let titleSorted = urlSorted.map(function (key, index) {
+                return index;
+            }).sort(function (a, b) {
+                return compareKeys(titleKeys[a], titleKeys[b]) || a - b;
+            });
+
+            let mimeList = Buffer.concat(mimeTypes.map(function (mimeType) {
+                return Buffer.from(mimeType + '\0');
+            }).concat([Buffer.from('\0')]));
+            let dirents;
+            try {
+                dirents = urlSorted.map(function (key) {
+                    return serializeDirent(entries[key], urlIndexes);
+                });
+            } catch (error) {
+                callback(error);
+                return;
+            }
+
+            let articleCount = urlSorted.length;
+            let clusterCount = clusterOffsets.length;
+            let mimeListPos = HEADER_SIZE;
+            let urlPtrPos = mimeListPos + mimeList.length;
+            let titlePtrPos = urlPtrPos + 8 * articleCount;
+            let direntPos = titlePtrPos + 4 * articleCount;
+            let clusterPtrPos = direntPos + dirents.reduce(function (size, dirent) {
+                return size + dirent.length;
+            }, 0);
+            let clustersPos = clusterPtrPos + 8 * clusterCount;
+            let checksumPos = clustersPos + clusterFileSize;
+
+            let header = Buffer.alloc(HEADER_SIZE);
+            header.writeUInt32LE(ZIM_MAGIC_NUMBER, 0);
+            header.writeUInt16LE(ZIM_MAJOR_VERSION, 4);
+            header.writeUInt16LE(ZIM_MINOR_VERSION, 6);
+            crypto.randomBytes(16).copy(header, 8);
+            header.writeUInt32LE(articleCount, 24);
+            header.writeUInt32LE(clusterCount, 28);
+            writeUInt64LE(header, urlPtrPos, 32);
+            writeUInt64LE(header, titlePtrPos, 40);
+            writeUInt64LE(header, clusterPtrPos, 48);
+            writeUInt64LE(header, mimeListPos, 56);
+            let mainPageKey = mainPage ? mainPage.namespace + '/' + mainPage.url : undefined;
+            header.writeUInt32LE(mainPageKey && urlIndexes.hasOwnProperty(mainPageKey) ? urlIndexes[mainPageKey] : NO_PAGE, 64);
+            header.writeUInt32LE(NO_PAGE, 68);
+            writeUInt64LE(header, checksumPos, 72);
+
+            let urlPtrs = Buffer.alloc(8 * articleCount);
+            let position = direntPos;
+            dirents.map(function (dirent, index) {
+                writeUInt64LE(urlPtrs, position, 8 * index);
+                position += dirent.length;
+            });
+
+            let titlePtrs = Buffer.alloc(4 * articleCount);
+            titleSorted.map(function (urlIndex, index) {
+                titlePtrs.writeUInt32LE(urlIndex, 4 * index);
+            });
+
+            let clusterPtrs = Buffer.alloc(8 * clusterCount);
+            clusterOffsets.map(function (offset, index) {
+                writeUInt64LE(clusterPtrs, clustersPos + offset, 8 * index);
+            });
+
+            writeFile([header, mimeList, urlPtrs, titlePtrs].concat(dirents).concat([clusterPtrs]), callback);
+        });
+    }
+
+    /* Write the ZIM file: the given buffers, then the clusters and the
+     * checksum. The file only gets its final name once complete. */
+    function writeFile( buffers, callback ) {
+        let md5 = crypto.createHash('md5');
+        let output = fs.createWriteStream(path + '.tmp');
+
+        function write( data, finished ) {
+            md5.update(data);
+            if (output.write(data)) {
+                setImmediate(finished);
+            } else {
+                output.once('drain', finished);
+            }
+        }
+
+        output.on('error', function (error) {
+            callback(error);
+        });
+
+        async.series(
+            [
+                function (finished) {
+                    fs.close(clusterFile, finished);
+                },
+                function (finished) {
+                    write(Buffer.concat(buffers), finished);
+                },
+                function (finished) {
+                    let input = fs.createReadStream(clusterFilePath);
+                    input.on('data', function (chunk) {
+                        md5.update(chunk);
+                        if (!output.write(chunk)) {
+                            input.pause();
+                            output.once('drain', function () {
+                                input.resume();
+                            });
+                        }
+                    });
+                    input.on('error', finished);
+                    input.on('end', function () {
+                        finished();
+                    });
+                },
+                function (finished) {
+                    output.end(md5.digest(), finished);
+                },
+                function (finished) {
+                    fs.rename(path + '.tmp', path, finished);
+                },
+                function (finished) {
+                    fs.unlink(clusterFilePath, finished);
+                }
+            ],
+            function (error) {
+                callback(error);
+            });
+    }
+
+    return {
+        addArticle,
+        addFile,
+        addRedirect,
+        addMetadata,
+        getCounter,
+        finalize
+    };
+}
+
+module.exports = {
+    compressionTypes,
+    getMimeType,
+    formatCounter,
+    createZimWriter
+};